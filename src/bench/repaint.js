@@ -0,0 +1,72 @@
+// repaint.js
+//
+// Repaint cost at 5k convicts (`npm run bench`, then read the page or the
+// console table). Covers the paths the runtime hits most:
+// - full cell repaint (style edits, media / container flips)
+// - hover on one convict and on a group of 100
+// - the first repaint after a style-cache invalidation (cold compile)
+
+import { JThree, paintCell, paintSpecificMuse } from '../module/index.js';
+import { markStyleSheetsDirty } from '../module/styleCache.js';
+
+const CONVICTS = 5000;
+const PER_RING = 100;
+const RUNS = 10;
+
+const cellEl = document.getElementById('bench');
+for (let r = 0; r < CONVICTS / PER_RING; r++) {
+  const ring = document.createElement('group');
+  ring.className = 'ring';
+  for (let i = 0; i < PER_RING; i++) {
+    const mesh = document.createElement('mesh');
+    mesh.className = i % 2 ? 'item odd' : 'item';
+    mesh.style.setProperty('--position', `(${i - PER_RING / 2}, ${r - CONVICTS / PER_RING / 2}, 0)`);
+    ring.append(mesh);
+  }
+  cellEl.append(ring);
+}
+
+function median(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function measure(label, fn, runs = RUNS) {
+  const samples = [];
+  for (let i = 0; i < runs; i++) {
+    const start = performance.now();
+    fn();
+    samples.push(performance.now() - start);
+  }
+  return { case: label, 'median ms': +median(samples).toFixed(2), 'max ms': +Math.max(...samples).toFixed(2) };
+}
+
+function toggleHover(object) {
+  const states = object.userData.extraParams;
+  const index = states.indexOf(':hover');
+  if (index === -1) states.push(':hover');
+  else states.splice(index, 1);
+  paintSpecificMuse(object);
+}
+
+const results = [];
+results.push(measure('convert + first paint', () => JThree.init_convert(), 1));
+
+const cell = cellEl.cell;
+const ring = cell.getConvictByDom(cellEl.querySelector('group'));
+const leaf = cell.getConvictByDom(cellEl.querySelector('mesh'));
+
+results.push(measure(`full repaint (${CONVICTS} convicts)`, () => paintCell(cell)));
+results.push(measure('hover one convict', () => toggleHover(leaf), RUNS * 10));
+results.push(measure(`hover a group of ${PER_RING}`, () => toggleHover(ring)));
+results.push(
+  measure('full repaint after cache invalidation', () => {
+    markStyleSheetsDirty();
+    paintCell(cell);
+  })
+);
+
+console.table(results);
+document.getElementById('out').textContent = results
+  .map(row => `${row.case.padEnd(40)} median ${String(row['median ms']).padStart(8)} ms   max ${String(row['max ms']).padStart(8)} ms`)
+  .join('\n');
@@ -3,9 +3,20 @@
 // Centralised event handling.
 // Shared THREE.Raycaster + NDC pointer for all cells; all pickable
 // objects live on layer 3.
+// - Pointer Events (mouse, pen, touch) with per-pointer tracking
+// - Pointer capture: a pressed object keeps a pointer until it is released
+// - Hits on plain Three.js children resolve to their nearest element-backed
+//   ancestor; events bubble up the convict hierarchy
+// - Drag and drop of `draggable` objects along a plane, an axis or the
+//   surfaces under the pointer (--drag-plane / --drag-axis)
+// - One focused convict per cell: focus on press, Tab order from tabindex,
+//   keys routed to the focused object, Enter / Space click
+// - :hover / :active / :focus / :focus-visible / :dragging flags, and DOM
+//   events under the standard names (click, pointerdown, ...) dispatched on
+//   the elements up to their <cell>, which also runs their on* attribute
+//   handlers
 
 import * as THREE from 'three';
-import { paintSpecificMuse } from './artist.js';
 import { fastRemove_arry } from './utils.js';
 
 const raycaster = new THREE.Raycaster();
@@ -14,6 +25,48 @@ const ndcPointer = new THREE.Vector2();
 // Only objects on layer 3 are considered pickable.
 raycaster.layers.set(3);
 
+// the id browsers give the mouse; plain MouseEvents have no pointerId
+const MOUSE_POINTER_ID = 1;
+// px a pressed pointer must travel before a drag starts, so clicks on
+// draggable objects stay clicks
+const DRAG_START_DISTANCE = 4;
+
+const DRAG_AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+// plane name -> normal; `view` faces the camera
+const DRAG_PLANE_NORMALS = {
+  xy: new THREE.Vector3(0, 0, 1),
+  xz: new THREE.Vector3(0, 1, 0),
+  yz: new THREE.Vector3(1, 0, 0)
+};
+
+// events dispatched on convict elements; they bubble up to the <cell>,
+// whose listeners must not take them for input
+const sceneEvents = new WeakSet();
+
+// scene events end at their <cell>, so page-level handlers for the native
+// events (shortcuts, click-outside, file drops) never see them
+function stopAtCell(evt) {
+  if (sceneEvents.has(evt)) evt.stopPropagation();
+}
+
+// the object whose listener is running, read off the DOM's currentTarget
+const SCENE_EVENT_PROPERTIES = {
+  currentTargetElement: {
+    get() {
+      return this.currentTarget;
+    }
+  },
+  currentTarget3d: {
+    get() {
+      return this.currentTarget?.convict ?? null;
+    }
+  }
+};
+
 /* Flag helpers */
 
 function addFlag(arr, flag) {
@@ -29,205 +82,803 @@ function delFlag(arr, flag) {
   return true;
 }
 
-/* Public handlers */
+/* Pointer tracking */
 
-function _flushPendingPointerMove(cell) {
-  if (!cell?._pointerMoveRaf || !cell._pendingPointerMoveEvt) return;
-  cancelAnimationFrame(cell._pointerMoveRaf);
-  cell._pointerMoveRaf = 0;
-  const evt = cell._pendingPointerMoveEvt;
-  cell._pendingPointerMoveEvt = null;
-  _processPointerMove(evt, cell);
+function pointerIdOf(domEvt) {
+  return domEvt.pointerId ?? MOUSE_POINTER_ID;
 }
 
-export function default_onCellClick_method(domEvt, cell) {
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
-  if (!hit) return;
+function pointerTypeOf(domEvt) {
+  return domEvt.pointerType || 'mouse';
+}
+
+/**
+ * State of one pointer over `cell`: the object it hovers (`hit`, with the
+ * raycast `intersection`), the one it pressed, and the one that captured it.
+ */
+function pointerState(cell, domEvt) {
+  const pointerId = pointerIdOf(domEvt);
+  let state = cell._pointers.get(pointerId);
+  if (!state) {
+    state = {
+      pointerId,
+      pointerType: pointerTypeOf(domEvt),
+      isPrimary: domEvt.isPrimary ?? true,
+      hit: null,
+      intersection: null,
+      pressed: null,
+      captured: null,
+      drag: null
+    };
+    cell._pointers.set(pointerId, state);
+  }
+  return state;
+}
+
+function isHoveredByOtherPointer(cell, object, state) {
+  for (const other of cell._pointers.values()) {
+    if (other !== state && (other.captured || other.hit) === object) return true;
+  }
+  return false;
+}
+
+function rememberPrimary(cell, state, object, intersection) {
+  if (!state.isPrimary) return;
+  cell._last_cast_caught = object;
+  if (intersection) cell._lastIntersection = intersection;
+}
 
-  const focusChanged = addFlag(hit.userData.extraParams, ':focus');
+/* Synthetic events */
 
-  const synth = {
-    type: 'cellclick',
+/**
+ * Fields every synthetic event shares.
+ */
+function baseEvent(domEvt, cell, target3d) {
+  return {
     originalEvt: domEvt,
-    target3d: hit,
+    target3d,
     targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
+    targetElement: target3d.userData.domEl
+  };
+}
+
+/**
+ * Synthetic pointer event fields. `target3d` is the element-backed object
+ * that was hit; `hitObject`, `face` etc. describe the exact (possibly
+ * element-less) mesh under the pointer.
+ */
+function cellEvent(domEvt, cell, target3d, intersection) {
+  return Object.assign(baseEvent(domEvt, cell, target3d), {
+    pointerPosition: intersection?.point ?? null,
+    intersection: intersection ?? null,
+    hitObject: intersection?.object ?? target3d,
+    face: intersection?.face ?? null,
+    faceIndex: intersection?.faceIndex ?? null,
+    instanceId: intersection?.instanceId ?? null,
+    uv: intersection?.uv ?? null,
+    distance: intersection?.distance ?? null,
+    pointerId: pointerIdOf(domEvt),
+    pointerType: pointerTypeOf(domEvt),
+    isPrimary: domEvt.isPrimary ?? true
+  });
+}
+
+function keyEvent(domEvt, cell, target3d) {
+  return Object.assign(baseEvent(domEvt, cell, target3d), {
+    key: domEvt.key,
+    code: domEvt.code,
+    repeat: domEvt.repeat,
+    altKey: domEvt.altKey,
+    ctrlKey: domEvt.ctrlKey,
+    metaKey: domEvt.metaKey,
+    shiftKey: domEvt.shiftKey
+  });
+}
+
+/**
+ * Whether `evt` was dispatched by a cell on one of its convicts' elements,
+ * rather than by the browser.
+ *
+ * @param {Event} evt
+ * @returns {boolean}
+ */
+export function isSceneEvent(evt) {
+  return sceneEvents.has(evt);
+}
+
+/**
+ * Dispatch a `type` (`click`, `pointerdown`, ...) CustomEvent on the
+ * synthetic event's target element. The browser runs the element's `on*`
+ * handler and listeners, then those of its ancestors up to the `<cell>`
+ * until one calls `stopPropagation()`. The synthetic fields are on the
+ * event itself and in `detail`.
+ *
+ * @returns {boolean} false when a handler called `preventDefault()`
+ */
+function dispatchCellEvent(type, synth, bubbles = true) {
+  const domEl = synth.targetElement;
+  if (!domEl?.dispatchEvent || typeof CustomEvent !== 'function') return true;
+  // adding the same listener again is a no-op
+  synth.targetCell.cellElm.addEventListener(type, stopAtCell);
+  const event = new CustomEvent(type, { bubbles, cancelable: true, detail: synth });
+  Object.assign(event, synth);
+  Object.defineProperties(event, SCENE_EVENT_PROPERTIES);
+  sceneEvents.add(event);
+  return domEl.dispatchEvent(event);
+}
+
+/**
+ * Move one pointer's hover from its previous object to `hit`, keeping
+ * `:hover` on objects another pointer still hovers. Over / out bubble and
+ * enter / leave do not, as in the DOM; the mouse events follow the pointer
+ * events for every pointer type.
+ */
+function setPointerHit(cell, state, hit, intersection, domEvt) {
+  const prev = state.hit;
+  const prevIntersection = state.intersection;
+  if (intersection) state.intersection = intersection;
+  if (hit === prev) return;
+
+  state.hit = hit;
+  if (prev) {
+    const hoverRemoved = !isHoveredByOtherPointer(cell, prev, state) && delFlag(prev.userData.extraParams, ':hover');
+    const leave = cellEvent(domEvt, cell, prev, prevIntersection);
+    dispatchCellEvent('pointerout', leave);
+    dispatchCellEvent('pointerleave', leave, false);
+    dispatchCellEvent('mouseout', leave);
+    dispatchCellEvent('mouseleave', leave, false);
+    if (hoverRemoved) cell.queuePaint(prev, 'pseudo');
+  }
+  if (hit) {
+    const enter = cellEvent(domEvt, cell, hit, intersection);
+    dispatchCellEvent('pointerover', enter);
+    dispatchCellEvent('pointerenter', enter, false);
+    dispatchCellEvent('mouseover', enter);
+    dispatchCellEvent('mouseenter', enter, false);
+    if (addFlag(hit.userData.extraParams, ':hover')) cell.queuePaint(hit, 'pseudo');
+  }
+}
+
+function forgetPointer(cell, state, domEvt) {
+  state.captured = null;
+  setPointerHit(cell, state, null, null, domEvt);
+  cell._pointers.delete(state.pointerId);
+  cell._pendingPointerMoves.delete(state.pointerId);
+  if (cell._last_cast_caught && !cell._pointers.size) cell._last_cast_caught = null;
+}
+
+/* Picking */
+
+/**
+ * Nearest element-backed object at or above `object` (the convict a hit on
+ * a sub-mesh belongs to).
+ *
+ * @param {THREE.Object3D} object
+ * @returns {THREE.Object3D|null}
+ */
+function convictOf(object) {
+  for (let node = object; node; node = node.parent) {
+    if (node.userData?.domEl) return node;
+  }
+  return null;
+}
+
+function isWithin(object, ancestor) {
+  for (let node = object; node; node = node.parent) {
+    if (node === ancestor) return true;
+  }
+  return false;
+}
+
+/**
+ * Raycast `object` and its descendants. Objects on layer 3 are pickable,
+ * and so is everything below them: the children of a `<group onclick>`, or
+ * the meshes of a model added to a convict from JS.
+ */
+function intersectPickable(object, intersects, inheritedPickable = false, exclude = null) {
+  if (object === exclude) return;
+  const pickable = inheritedPickable || object.layers.test(raycaster.layers);
+  if (pickable) object.raycast(raycaster, intersects);
+  for (const child of object.children) intersectPickable(child, intersects, pickable, exclude);
+}
+
+/**
+ * Pick at the event's position: the nearest hit resolved to its convict
+ * and, for captured pointers, where the ray meets the capturing object.
+ */
+function pickAt(domEvt, cell, captured = null) {
+  if (!_raycast(domEvt, cell.focusedCamera, cell.cellElm)) return null;
+  return pickAlongRay(cell, captured);
+}
+
+/**
+ * pickAt for the ray already cast, leaving out `exclude` and everything
+ * below it (an object being dragged).
+ */
+function pickAlongRay(cell, captured = null, exclude = null) {
+  const intersects = [];
+  for (const child of cell.loadedScene.children) intersectPickable(child, intersects, false, exclude);
+  intersects.sort((a, b) => a.distance - b.distance);
+
+  let first = null;
+  let capturedIntersection = null;
+  for (const intersection of intersects) {
+    const object = convictOf(intersection.object);
+    if (!object) continue;
+    if (!first) first = { object, intersection };
+    if (captured && isWithin(object, captured)) capturedIntersection = intersection;
+    if (!captured || capturedIntersection) break;
+  }
+  return {
+    object: first?.object ?? null,
+    intersection: first?.intersection ?? null,
+    capturedIntersection
   };
+}
+
+/* Drag and drop */
+
+/**
+ * Nearest object at or above `object` whose element is `draggable`
+ * (`draggable="false"` opts out, as in the DOM).
+ */
+function draggableOf(object) {
+  for (let node = object; node; node = node.parent) {
+    const domEl = node.userData?.domEl;
+    if (!domEl?.hasAttribute?.('draggable')) continue;
+    return domEl.getAttribute('draggable') === 'false' ? null : node;
+  }
+  return null;
+}
+
+/**
+ * What a drag of `object` moves along, from its --drag-axis / --drag-plane:
+ * a world axis through the object, a plane through it (`xy`, `xz`, `yz`,
+ * or `view`, facing the camera), or `surface`: whatever is under the
+ * pointer. Defaults to the view plane.
+ */
+function dragConstraint(object, camera) {
+  const props = object.userData._customProps || {};
+  const axis = String(props['--drag-axis'] ?? 'none').trim().toLowerCase();
+  const plane = String(props['--drag-plane'] ?? 'view').trim().toLowerCase();
+  const origin = object.getWorldPosition(new THREE.Vector3());
+
+  if (DRAG_AXES[axis]) return { type: 'axis', origin, direction: DRAG_AXES[axis] };
+  if (axis !== 'none') console.warn(`Invalid --drag-axis "${axis}"; use x, y, z or none.`);
+  if (plane === 'surface') return { type: 'surface' };
+
+  let normal = DRAG_PLANE_NORMALS[plane];
+  if (!normal) {
+    if (plane !== 'view') console.warn(`Invalid --drag-plane "${plane}"; use view, xy, xz, yz or surface.`);
+    normal = camera.getWorldDirection(new THREE.Vector3());
+  }
+  return { type: 'plane', plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, origin) };
+}
+
+/**
+ * Where the ray already cast meets `constraint`, in world space; null when
+ * it misses (a ray parallel to the plane or axis, no surface below).
+ */
+function constrainedPoint(constraint, cell, dragged) {
+  const { ray } = raycaster;
+  if (constraint.type === 'plane') return ray.intersectPlane(constraint.plane, new THREE.Vector3());
+  if (constraint.type === 'axis') {
+    // closest point on the axis line to the ray
+    const { origin, direction } = constraint;
+    const toOrigin = origin.clone().sub(ray.origin);
+    const cos = direction.dot(ray.direction);
+    const denom = 1 - cos * cos;
+    if (denom < 1e-6) return null;
+    const along = (cos * ray.direction.dot(toOrigin) - direction.dot(toOrigin)) / denom;
+    return origin.clone().addScaledVector(direction, along);
+  }
+  // surfaces need not be interactive, so test every layer
+  raycaster.layers.enableAll();
+  const hits = raycaster.intersectObjects(cell.loadedScene.children, true);
+  raycaster.layers.set(3);
+  return hits.find(hit => !isWithin(hit.object, dragged))?.point.clone() ?? null;
+}
+
+function formatCoord(value) {
+  return String(Number(value.toFixed(4)));
+}
+
+/**
+ * Put `object` at `worldPoint`. Repaints leave a `:dragging` object's
+ * position alone; the drop writes it to the element's inline `--position`.
+ */
+function placeDragged(object, worldPoint) {
+  const local = worldPoint.clone();
+  if (object.parent) {
+    object.parent.updateWorldMatrix(true, false);
+    object.parent.worldToLocal(local);
+  }
+  object.position.copy(local);
+}
+
+function dragEvent(domEvt, cell, target3d, intersection, drag) {
+  return Object.assign(cellEvent(domEvt, cell, target3d, intersection), {
+    dragObject: drag.object,
+    dragElement: drag.object.userData.domEl,
+    dropTarget: drag.over,
+    dragPosition: drag.object.getWorldPosition(new THREE.Vector3()),
+    // nothing is carried between applications, unlike HTML drag and drop
+    dataTransfer: null
+  });
+}
+
+/**
+ * Start dragging once a pressed draggable has moved far enough.
+ *
+ * @returns {boolean} whether the drag is running
+ */
+function startDrag(domEvt, cell, state) {
+  const drag = state.drag;
+  const travelled = Math.hypot(domEvt.clientX - drag.downX, domEvt.clientY - drag.downY);
+  if (travelled < DRAG_START_DISTANCE) return false;
+
+  const object = drag.object;
+  if (!dispatchCellEvent('dragstart', dragEvent(domEvt, cell, object, state.intersection, drag))) {
+    state.drag = null;
+    return false;
+  }
+
+  drag.dragging = true;
+  drag.constraint = dragConstraint(object, cell.focusedCamera);
+  drag.startPosition = object.position.clone();
+  // keep the point that was grabbed under the pointer
+  drag.offset = new THREE.Vector3();
+  if (drag.constraint.type !== 'surface') {
+    _raycast({ clientX: drag.downX, clientY: drag.downY }, cell.focusedCamera, cell.cellElm);
+    const grabbed = constrainedPoint(drag.constraint, cell, object);
+    if (grabbed) drag.offset.copy(object.getWorldPosition(new THREE.Vector3())).sub(grabbed);
+  }
+  cell.setPointerCapture(state.pointerId, object);
+  if (addFlag(object.userData.extraParams, ':dragging')) cell.queuePaint(object, 'pseudo');
+  return true;
+}
+
+function setDropTarget(domEvt, cell, drag, target, intersection) {
+  const prev = drag.over;
+  if (target === prev) return;
+  if (prev) dispatchCellEvent('dragleave', dragEvent(domEvt, cell, prev, intersection, drag));
+  drag.over = target;
+  if (target) dispatchCellEvent('dragenter', dragEvent(domEvt, cell, target, intersection, drag));
+}
+
+function moveDrag(domEvt, cell, state) {
+  const drag = state.drag;
+  if (!_raycast(domEvt, cell.focusedCamera, cell.cellElm)) return;
+  const point = constrainedPoint(drag.constraint, cell, drag.object);
+  if (point) placeDragged(drag.object, point.add(drag.offset));
+
+  drag.object.updateMatrixWorld(true);
+  const below = pickAlongRay(cell, null, drag.object);
+  drag.intersection = below.intersection;
+  setDropTarget(domEvt, cell, drag, below.object, below.intersection);
+  dispatchCellEvent('drag', dragEvent(domEvt, cell, drag.object, below.intersection, drag));
+}
+
+/**
+ * Finish the pointer's drag: drop on the object below (or, `cancelled`,
+ * put the dragged object back where it started).
+ */
+function endDrag(domEvt, cell, state, cancelled = false) {
+  const drag = state.drag;
+  state.drag = null;
+  if (!drag?.dragging) return;
+
+  const object = drag.object;
+  if (cancelled) {
+    object.position.copy(drag.startPosition);
+    setDropTarget(domEvt, cell, drag, null, null);
+  } else {
+    // written once, so repaints keep the drop position
+    const { x, y, z } = object.position;
+    object.userData.domEl?.style?.setProperty('--position', `(${formatCoord(x)}, ${formatCoord(y)}, ${formatCoord(z)})`);
+    if (drag.over) dispatchCellEvent('drop', dragEvent(domEvt, cell, drag.over, drag.intersection, drag));
+  }
+  if (delFlag(object.userData.extraParams, ':dragging')) cell.queuePaint(object, 'pseudo');
+  const dragEnd = dragEvent(domEvt, cell, object, state.intersection, drag);
+  dragEnd.cancelled = cancelled;
+  dispatchCellEvent('dragend', dragEnd);
+  // the click the browser sends after the release is not a click
+  cell._suppressNextClick = !cancelled;
+}
+
+/* Focus and keyboard */
+
+function tabIndexOf(domEl) {
+  if (!domEl?.hasAttribute?.('tabindex')) return null;
+  const index = parseInt(domEl.getAttribute('tabindex'), 10);
+  return Number.isNaN(index) ? null : index;
+}
+
+/**
+ * Convicts reachable with Tab, in DOM order: positive `tabindex` first,
+ * ascending, then `tabindex="0"` in tree order. `-1` is focusable by
+ * pointer and script only.
+ *
+ * @param {Cell} cell
+ * @returns {Array<THREE.Object3D>}
+ */
+export function tabbableConvicts(cell) {
+  const entries = [];
+  for (const domEl of cell.cellElm.querySelectorAll('[tabindex]')) {
+    const object = cell.getConvictByDom(domEl);
+    const index = tabIndexOf(domEl);
+    if (object && index !== null && index >= 0) entries.push({ object, index });
+  }
+  const positive = entries.filter(entry => entry.index > 0).sort((a, b) => a.index - b.index);
+  return [...positive, ...entries.filter(entry => entry.index === 0)].map(entry => entry.object);
+}
+
+/**
+ * What pressing `object` focuses: the nearest object with a `tabindex`, or
+ * `object` itself when none has one.
+ */
+function focusTargetOf(object) {
+  for (let node = object; node; node = node.parent) {
+    if (tabIndexOf(node.userData?.domEl) !== null) return node;
+  }
+  return object;
+}
+
+function focusEvent(domEvt, cell, target3d, related) {
+  return Object.assign(baseEvent(domEvt, cell, target3d), { relatedTarget3d: related });
+}
+
+/**
+ * Make `object` the cell's one focused convict (null blurs). The previous
+ * one loses `:focus` / `:focus-visible` and gets `onblur`; the new one gets
+ * `:focus`, `:focus-visible` for keyboard focus, and `onfocus`. Neither
+ * bubbles. The `<cell>` takes DOM focus so keys reach the object.
+ *
+ * @param {Cell} cell
+ * @param {THREE.Object3D|null} object
+ * @param {{focusVisible?: boolean}} [options]
+ * @param {Event|null} [domEvt] what moved focus
+ */
+export function focusConvict(cell, object, { focusVisible = false } = {}, domEvt = null) {
+  const prev = cell._focusedConvict;
+  if (object === prev) {
+    if (!object) return;
+    const flags = object.userData.extraParams;
+    if (focusVisible ? addFlag(flags, ':focus-visible') : delFlag(flags, ':focus-visible')) {
+      cell.queuePaint(object, 'pseudo');
+    }
+    return;
+  }
+
+  cell._focusedConvict = object;
+  if (prev) {
+    const removed = delFlag(prev.userData.extraParams, ':focus');
+    if (delFlag(prev.userData.extraParams, ':focus-visible') || removed) cell.queuePaint(prev, 'pseudo');
+    const blur = focusEvent(domEvt, cell, prev, object);
+    dispatchCellEvent('blur', blur, false);
+    dispatchCellEvent('focusout', blur);
+  }
+  // a blur handler may have moved focus on
+  if (!object || cell._focusedConvict !== object) return;
+
+  addFlag(object.userData.extraParams, ':focus');
+  if (focusVisible) addFlag(object.userData.extraParams, ':focus-visible');
+  cell.queuePaint(object, 'pseudo');
+  const root = cell.cellElm.getRootNode?.();
+  if (root?.activeElement !== cell.cellElm) cell.cellElm.focus?.({ preventScroll: true });
+  const focus = focusEvent(domEvt, cell, object, prev);
+  dispatchCellEvent('focus', focus, false);
+  dispatchCellEvent('focusin', focus);
+}
+
+/**
+ * @param {Cell} cell
+ * @param {Event|null} [domEvt]
+ */
+export function blurConvict(cell, domEvt = null) {
+  focusConvict(cell, null, {}, domEvt);
+}
+
+/**
+ * Tab / Shift+Tab: the next convict in tab order, or, past either end,
+ * on out of the cell to the page.
+ */
+function moveFocus(domEvt, cell) {
+  const order = tabbableConvicts(cell);
+  if (!order.length) return;
+  const backwards = domEvt.shiftKey;
+  const at = order.indexOf(cell._focusedConvict);
+  const next = at === -1 ? (backwards ? order.length - 1 : 0) : at + (backwards ? -1 : 1);
+  if (next < 0 || next >= order.length) {
+    blurConvict(cell, domEvt);
+    return;
+  }
+  domEvt.preventDefault();
+  focusConvict(cell, order[next], { focusVisible: true }, domEvt);
+}
+
+// Enter and Space activate the focused object like a button
+function keyboardClick(domEvt, cell, object) {
+  const synth = cellEvent(domEvt, cell, object, null);
+  // what the DOM reports for clicks that no pointer made
+  synth.pointerId = -1;
+  synth.pointerType = '';
+  dispatchCellEvent('click', synth);
+}
+
+export function default_onCellKeyDown_method(domEvt, cell) {
+  const focused = cell._focusedConvict;
+  if (focused) {
+    const proceed = dispatchCellEvent('keydown', keyEvent(domEvt, cell, focused));
+    if (!proceed) {
+      domEvt.preventDefault();
+      return;
+    }
+  }
+  if (domEvt.key === 'Tab' && !domEvt.altKey && !domEvt.ctrlKey && !domEvt.metaKey) {
+    moveFocus(domEvt, cell);
+    return;
+  }
+  if (!focused) return;
+
+  if (domEvt.key === 'Enter' && !domEvt.repeat) {
+    domEvt.preventDefault();
+    keyboardClick(domEvt, cell, focused);
+  } else if (domEvt.key === ' ') {
+    // Space clicks on release; hold the page still meanwhile
+    domEvt.preventDefault();
+    if (domEvt.repeat) return;
+    cell._spacePressed = focused;
+    if (addFlag(focused.userData.extraParams, ':active')) cell.queuePaint(focused, 'pseudo');
+  }
+}
+
+export function default_onCellKeyUp_method(domEvt, cell) {
+  const focused = cell._focusedConvict;
+  const pressed = domEvt.key === ' ' ? cell._spacePressed : null;
+  if (pressed) {
+    cell._spacePressed = null;
+    if (delFlag(pressed.userData.extraParams, ':active')) cell.queuePaint(pressed, 'pseudo');
+  }
+  if (!focused) return;
+
+  const proceed = dispatchCellEvent('keyup', keyEvent(domEvt, cell, focused));
+  if (pressed === focused && proceed) keyboardClick(domEvt, cell, focused);
+}
+
+/**
+ * The `<cell>` got DOM focus: from the keyboard, hand it on to the first
+ * (or, tabbing backwards into the cell, the last) tabbable convict.
+ */
+export function default_onCellFocus_method(domEvt, cell) {
+  if (domEvt.target !== cell.cellElm || cell._pointerFocusing || cell._focusedConvict) return;
+  const order = tabbableConvicts(cell);
+  if (!order.length) return;
+  const from = domEvt.relatedTarget;
+  const backwards = from instanceof Node && cell.cellElm.compareDocumentPosition(from) & Node.DOCUMENT_POSITION_FOLLOWING;
+  focusConvict(cell, backwards ? order[order.length - 1] : order[0], { focusVisible: true }, domEvt);
+}
+
+/**
+ * The `<cell>` lost DOM focus: focus went elsewhere on the page (an outside
+ * click, Tab out), so the focused convict blurs.
+ */
+export function default_onCellBlur_method(domEvt, cell) {
+  if (domEvt.target !== cell.cellElm) return;
+  // the window losing focus leaves the page's focus where it is
+  if (cell.cellElm.getRootNode?.().activeElement === cell.cellElm) return;
+  blurConvict(cell, domEvt);
+}
+
+/* Public handlers */
 
-  hit.userData.domEl.onclick?.call(hit.userData.domEl, synth);
-  if (focusChanged) paintSpecificMuse(hit);
+function _flushPendingPointerMove(cell, pointerId = null) {
+  if (!cell?._pendingPointerMoves?.size) return;
+  const pending = pointerId === null ? [...cell._pendingPointerMoves.values()] : [cell._pendingPointerMoves.get(pointerId)];
+  pending.forEach(evt => {
+    if (!evt) return;
+    cell._pendingPointerMoves.delete(pointerIdOf(evt));
+    _processPointerMove(evt, cell);
+  });
+  if (!cell._pendingPointerMoves.size && cell._pointerMoveRaf) {
+    cancelAnimationFrame(cell._pointerMoveRaf);
+    cell._pointerMoveRaf = 0;
+  }
+}
+
+// click / dblclick / contextmenu go to the object under the event, which
+// for touch is not hovered before or after the tap
+function _clickTarget(domEvt, cell) {
+  _flushPendingPointerMove(cell);
+  if (typeof domEvt.clientX !== 'number') {
+    return { object: cell._last_cast_caught, intersection: cell._lastIntersection };
+  }
+  return pickAt(domEvt, cell) || { object: null, intersection: null };
+}
+
+export function default_onCellClick_method(domEvt, cell) {
+  const { object: hit, intersection } = _clickTarget(domEvt, cell);
+  if (cell._suppressNextClick) {
+    cell._suppressNextClick = false;
+    return;
+  }
+  if (!hit) return;
+
+  dispatchCellEvent('click', cellEvent(domEvt, cell, hit, intersection));
 }
 
 export function default_onCellPointerMove_method(domEvt, cell) {
   if (!cell.focusedCamera) return;
 
-  cell._pendingPointerMoveEvt = domEvt;
+  // moves are coalesced to one per pointer per frame
+  cell._pendingPointerMoves.set(pointerIdOf(domEvt), domEvt);
   if (cell._pointerMoveRaf) return;
 
   cell._pointerMoveRaf = requestAnimationFrame(() => {
-    const evt = cell._pendingPointerMoveEvt;
-    cell._pendingPointerMoveEvt = null;
     cell._pointerMoveRaf = 0;
-    if (!evt || !cell._running) return;
-    _processPointerMove(evt, cell);
+    if (!cell._running) return;
+    _flushPendingPointerMove(cell);
   });
 }
 
 function _processPointerMove(domEvt, cell) {
-  _raycast(domEvt, cell.focusedCamera, cell.cellElm);
-
-  const hitResult = raycaster.intersectObjects(cell.loadedScene.children, true)[0];
-  const lastHit = cell._last_cast_caught;
-
-  if (hitResult) {
-    const hitObject = hitResult.object;
-    let shouldRepaintCurrent = false;
-
-    if (hitObject !== lastHit) {
-      if (lastHit) {
-        const hoverRemoved = delFlag(lastHit.userData.extraParams, ':hover');
-        lastHit.userData.domEl.onmouseleave?.call(lastHit.userData.domEl, {
-          type: 'cellmouseleave',
-          originalEvt: domEvt,
-          target3d: lastHit,
-          targetCell: cell,
-          targetElement: lastHit.userData.domEl,
-          pointerPosition: cell._lastHitPosition
-        });
-        if (hoverRemoved) paintSpecificMuse(lastHit);
-      }
-
-      cell._last_cast_caught = hitObject;
-
-      hitObject.userData.domEl.onmouseenter?.call(hitObject.userData.domEl, {
-        type: 'cellmouseenter',
-        originalEvt: domEvt,
-        target3d: hitObject,
-        targetCell: cell,
-        targetElement: hitObject.userData.domEl,
-        pointerPosition: hitResult.point
-      });
-      shouldRepaintCurrent = true;
-    }
+  const state = pointerState(cell, domEvt);
+  // while dragging, ondrag takes the place of hover and onpointermove
+  if (state.drag && (state.drag.dragging || startDrag(domEvt, cell, state))) {
+    moveDrag(domEvt, cell, state);
+    return;
+  }
+  const picked = pickAt(domEvt, cell, state.captured);
+  if (!picked) return;
+
+  let target = state.captured;
+  let intersection = picked.capturedIntersection ?? state.intersection;
+  if (!target) {
+    // a captured pointer keeps its hover where it was pressed
+    setPointerHit(cell, state, picked.object, picked.intersection, domEvt);
+    target = state.hit;
+    intersection = picked.intersection;
+  }
+  rememberPrimary(cell, state, state.captured || state.hit, intersection);
+  if (target) {
+    const move = cellEvent(domEvt, cell, target, intersection);
+    dispatchCellEvent('pointermove', move);
+    dispatchCellEvent('mousemove', move);
+  }
+}
 
-    if (addFlag(hitObject.userData.extraParams, ':hover')) {
-      shouldRepaintCurrent = true;
-    }
-    cell._lastHitPosition = hitResult.point;
-
-    hitObject.userData.domEl.onmouseover?.call(hitObject.userData.domEl, {
-      type: 'cellhover',
-      originalEvt: domEvt,
-      target3d: hitObject,
-      targetCell: cell,
-      targetElement: hitObject.userData.domEl,
-      pointerPosition: hitResult.point
-    });
-
-    if (shouldRepaintCurrent) paintSpecificMuse(hitObject);
-  } else if (lastHit) {
-    const hoverRemoved = delFlag(lastHit.userData.extraParams, ':hover');
-    lastHit.userData.domEl.onmouseleave?.call(lastHit.userData.domEl, {
-      type: 'cellmouseleave',
-      originalEvt: domEvt,
-      target3d: lastHit,
-      targetCell: cell,
-      targetElement: lastHit.userData.domEl,
-      pointerPosition: cell._lastHitPosition
-    });
-    if (hoverRemoved) paintSpecificMuse(lastHit);
-    cell._last_cast_caught = null;
-  }
-}
-
-export function default_onCellMouseDown_method(domEvt, cell) {
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
-  if (!hit) return;
+export function default_onCellPointerDown_method(domEvt, cell) {
+  const pointerId = pointerIdOf(domEvt);
+  _flushPendingPointerMove(cell, pointerId);
+  const state = pointerState(cell, domEvt);
+  cell._suppressNextClick = false;
+  // the <cell> takes DOM focus after this; it must not pick a convict itself
+  cell._pointerFocusing = true;
+
+  // touch has no hover before it lands, so pick where it went down
+  const picked = pickAt(domEvt, cell);
+  if (picked) setPointerHit(cell, state, picked.object, picked.intersection, domEvt);
+  const hit = state.hit;
+  rememberPrimary(cell, state, hit, state.intersection);
+  if (!hit) {
+    // pressing empty space blurs, like clicking the page background
+    blurConvict(cell, domEvt);
+    return;
+  }
 
-  const activeChanged = addFlag(hit.userData.extraParams, ':active');
+  state.pressed = hit;
+  // touch and pen stay with what they pressed, as DOM touch input does
+  if (state.pointerType !== 'mouse') cell.setPointerCapture(pointerId, hit);
+  // keep receiving moves and the release outside the cell
+  try {
+    cell.cellElm.setPointerCapture?.(pointerId);
+  } catch {
+    // not an active pointer (synthetic events)
+  }
 
-  const synth = {
-    type: 'celldown',
-    originalEvt: domEvt,
-    target3d: hit,
-    targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
+  const activeChanged = addFlag(hit.userData.extraParams, ':active');
+  const synth = cellEvent(domEvt, cell, hit, state.intersection);
+  // capture goes to the object whose handler asks for it
+  synth.setPointerCapture = function (object = this?.currentTarget3d || hit) {
+    return cell.setPointerCapture(pointerId, object);
   };
+  synth.releasePointerCapture = () => cell.releasePointerCapture(pointerId);
+  dispatchCellEvent('pointerdown', synth);
+  // focus moves on press; preventDefault() on mousedown keeps it, as in the DOM
+  if (dispatchCellEvent('mousedown', cellEvent(domEvt, cell, hit, state.intersection))) {
+    focusConvict(cell, focusTargetOf(hit), { focusVisible: false }, domEvt);
+  }
+  if (activeChanged) cell.queuePaint(hit, 'pseudo');
 
-  hit.userData.domEl.onmousedown?.call(hit.userData.domEl, synth);
-  if (activeChanged) paintSpecificMuse(hit);
+  const draggable = draggableOf(hit);
+  if (draggable) {
+    state.drag = { object: draggable, downX: domEvt.clientX, downY: domEvt.clientY, dragging: false, over: null };
+  }
 }
 
-export function default_onCellMouseUp_method(domEvt, cell) {
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
-  if (!hit) return;
-
-  const activeChanged = delFlag(hit.userData.extraParams, ':active');
+export function default_onCellPointerUp_method(domEvt, cell) {
+  const pointerId = pointerIdOf(domEvt);
+  _flushPendingPointerMove(cell, pointerId);
+  const state = pointerState(cell, domEvt);
+  cell._pointerFocusing = false;
+  endDrag(domEvt, cell, state);
+  const picked = pickAt(domEvt, cell, state.captured);
+  const target = state.captured || picked?.object || null;
+  const intersection = (state.captured ? picked?.capturedIntersection : picked?.intersection) ?? state.intersection;
+
+  const pressed = state.pressed;
+  state.pressed = null;
+  const activeChanged = pressed ? delFlag(pressed.userData.extraParams, ':active') : false;
+
+  if (target) {
+    const up = cellEvent(domEvt, cell, target, intersection);
+    dispatchCellEvent('pointerup', up);
+    dispatchCellEvent('mouseup', up);
+  }
+  if (activeChanged) cell.queuePaint(pressed, 'pseudo');
+
+  if (state.pointerType === 'mouse') {
+    // hover goes back to following the mouse
+    cell.releasePointerCapture(pointerId);
+    setPointerHit(cell, state, picked?.object ?? null, picked?.intersection, domEvt);
+    rememberPrimary(cell, state, state.hit, state.intersection);
+  } else {
+    // a lifted finger or pen hovers nothing
+    forgetPointer(cell, state, domEvt);
+  }
+}
 
-  const synth = {
-    type: 'cellup',
-    originalEvt: domEvt,
-    target3d: hit,
-    targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
-  };
+export function default_onCellPointerCancel_method(domEvt, cell) {
+  const state = cell._pointers.get(pointerIdOf(domEvt));
+  if (!state) return;
+  const target = state.captured || state.pressed || state.hit;
+  if (state.pressed && delFlag(state.pressed.userData.extraParams, ':active')) {
+    cell.queuePaint(state.pressed, 'pseudo');
+  }
+  state.pressed = null;
+  cell._pointerFocusing = false;
+  endDrag(domEvt, cell, state, true);
+  if (target) {
+    dispatchCellEvent('pointercancel', cellEvent(domEvt, cell, target, state.intersection));
+  }
+  forgetPointer(cell, state, domEvt);
+}
 
-  hit.userData.domEl.onmouseup?.call(hit.userData.domEl, synth);
-  if (activeChanged) paintSpecificMuse(hit);
+export function default_onCellPointerLeave_method(domEvt, cell) {
+  const state = cell._pointers.get(pointerIdOf(domEvt));
+  // pressed pointers are captured by the cell and still report
+  if (!state || state.pressed) return;
+  forgetPointer(cell, state, domEvt);
 }
 
 export function default_onCellDoubleClick_method(domEvt, cell) {
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
+  const { object: hit, intersection } = _clickTarget(domEvt, cell);
   if (!hit) return;
 
-  const focusChanged = addFlag(hit.userData.extraParams, ':focus');
-
-  const synth = {
-    type: 'celldblclick',
-    originalEvt: domEvt,
-    target3d: hit,
-    targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
-  };
-
-  hit.userData.domEl.ondblclick?.call(hit.userData.domEl, synth);
-  if (focusChanged) paintSpecificMuse(hit);
+  dispatchCellEvent('dblclick', cellEvent(domEvt, cell, hit, intersection));
 }
 
 export function default_onCellContextMenu_method(domEvt, cell) {
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
+  const { object: hit, intersection } = _clickTarget(domEvt, cell);
   if (!hit) return;
 
-  const synth = {
-    type: 'cellcontextmenu',
-    originalEvt: domEvt,
-    target3d: hit,
-    targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
-  };
-
-  hit.userData.domEl.oncontextmenu?.call(hit.userData.domEl, synth);
+  dispatchCellEvent('contextmenu', cellEvent(domEvt, cell, hit, intersection));
 }
 
+// Aliases for older code; the cell listens to Pointer Events now.
+export const default_onCellMouseDown_method = default_onCellPointerDown_method;
+export const default_onCellMouseUp_method = default_onCellPointerUp_method;
+
 /* Internal raycast helper */
 
 /**
  * @param {MouseEvent} domEvt
  * @param {THREE.Camera} camera
  * @param {HTMLElement} referenceEl
+ * @returns {boolean} false without a camera
  */
 function _raycast(domEvt, camera, referenceEl) {
-  if (!camera) return;
+  if (!camera) return false;
 
   const targetEl = referenceEl || domEvt.currentTarget || domEvt.target;
   const rect = targetEl.getBoundingClientRect();
@@ -240,4 +891,5 @@ function _raycast(domEvt, camera, referenceEl) {
   );
 
   raycaster.setFromCamera(ndcPointer, camera);
+  return true;
 }
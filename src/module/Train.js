@@ -2,13 +2,26 @@
 //
 // Interpolation / animation helpers used by JailedThreeJS.
 // - Numeric lerping
-// - Cubic-bezier easing
-// - Generic value interpolation (numbers + arrays)
+// - Easing: CSS keywords, cubic-bezier(), steps(), linear() stops,
+//   spring(), elastic presets and a registry of named easings
+// - Generic value interpolation (numbers + arrays + colors)
+// - Perceptual (Oklab) color interpolation
+// - Quaternion slerp for rotations
 // - Time-based transitions over JS values
-// - CSS keyframe-driven animation for custom props
+// - Everything runs on clock time (clock.js), so pausing, slowing down or
+//   seeking a Cell's clock moves its transitions and animations with it
+// - Per-property transition manager (delays, retargeting, cancellation)
+// - CSS keyframe-driven animation for custom props (concurrent animations,
+//   delay, direction, fill-mode, play-state)
+// - Web-Animations-style handles for animations started from JS
+// - animation* / transition* lifecycle events on the object and its element
+// - Scroll-, view- and JS-driven animation timelines (timeline.js)
 
-import { exchange_rule, deep_searchParms, CSSValueTo3JSValue } from './artist.js';
+import * as THREE from 'three';
+import { exchange_rule, exchange_resolved_rule, deep_searchParms, CSSValueTo3JSValue } from './artist.js';
 import { getAnimationMap } from './utils.js';
+import { defaultClock, getObjectClock } from './clock.js';
+import { resolveAnimationTimeline } from './timeline.js';
 
 /**
  * Linearly interpolate between two numbers.
@@ -56,10 +69,104 @@ function lerpArray(from, to, t, lerpMethod) {
 }
 
 /**
- * Interpolate numbers or arrays using the provided lerp method.
+ * Linear-sRGB → Oklab. THREE.Color stores linear sRGB in the working
+ * color space, so no transfer function is needed here.
+ */
+function linearSRGBToOklab(r, g, b) {
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s
+  ];
+}
+
+function oklabToLinearSRGB(L, a, b) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.291485548 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s
+  ];
+}
+
+/**
+ * Interpolate two THREE.Color values through Oklab, so midpoints keep
+ * their perceived lightness instead of going muddy per RGB channel.
+ *
+ * @param {THREE.Color} from
+ * @param {THREE.Color} to
+ * @param {number} t
+ * @param {(a:number,b:number,t:number)=>number} [lerpMethod]
+ * @returns {THREE.Color}
+ */
+export function lerpColor(from, to, t, lerpMethod = lerpNumber) {
+  const labA = linearSRGBToOklab(from.r, from.g, from.b);
+  const labB = linearSRGBToOklab(to.r, to.g, to.b);
+  const [r, g, b] = oklabToLinearSRGB(...lerpArray(labA, labB, t, lerpMethod));
+  return from.clone().setRGB(Math.max(0, r), Math.max(0, g), Math.max(0, b));
+}
+
+function rotationAngles(value, euler) {
+  if (value?.isEuler) return [value.x, value.y, value.z];
+  if (Array.isArray(value)) {
+    return [value[0] ?? euler.x, value[1] ?? euler.y, value[2] ?? euler.z];
+  }
+  return null;
+}
+
+function toQuaternion(value) {
+  if (value?.isQuaternion) return value.clone();
+  if (Array.isArray(value) && value.length >= 4) {
+    return new THREE.Quaternion(value[0], value[1], value[2], value[3]).normalize();
+  }
+  return null;
+}
+
+/**
+ * Map transition / keyframe endpoints onto the form they interpolate in,
+ * based on the property they will be written to.
+ *
+ * - Euler targets: turns about a single axis keep numeric angles (so
+ *   0 → 360deg spins a full turn); anything else becomes a quaternion pair
+ *   that slerps along the shortest path, free of gimbal lock.
+ * - Quaternion targets: tuples become normalized quaternions.
+ *
+ * @param {any} from
+ * @param {any} to
+ * @param {any} target current value at the destination (Euler, Quaternion, ...)
+ * @returns {{from:any, to:any}}
+ */
+export function prepareLerpEndpoints(from, to, target) {
+  if (target?.isEuler) {
+    const a = rotationAngles(from, target);
+    const b = rotationAngles(to, target);
+    if (!a || !b) return { from, to };
+    const changedAxes = a.filter((angle, i) => Math.abs(angle - b[i]) > 1e-9).length;
+    if (changedAxes <= 1) return { from: a, to: b };
+    return {
+      from: new THREE.Quaternion().setFromEuler(new THREE.Euler(...a, target.order)),
+      to: new THREE.Quaternion().setFromEuler(new THREE.Euler(...b, target.order))
+    };
+  }
+  if (target?.isQuaternion) {
+    const qa = toQuaternion(from);
+    const qb = toQuaternion(to);
+    if (qa && qb) return { from: qa, to: qb };
+  }
+  return { from, to };
+}
+
+/**
+ * Interpolate numbers, arrays, colors or quaternions using the provided
+ * lerp method. Quaternions slerp along the shortest path.
  *
- * @param {number|Array<number>} from
- * @param {number|Array<number>} to
+ * @param {number|Array<number>|THREE.Color|THREE.Quaternion} from
+ * @param {number|Array<number>|THREE.Color|THREE.Quaternion} to
  * @param {number} t
  * @param {(a:number,b:number,t:number)=>number} lerpMethod
  */
@@ -73,6 +180,12 @@ export function lerpValue(from, to, t, lerpMethod = lerpNumber) {
   if (isArr(from) && isArr(to)) {
     return lerpArray(from, to, t, lerpMethod);
   }
+  if (from?.isColor && to?.isColor) {
+    return lerpColor(from, to, t, lerpMethod);
+  }
+  if (from?.isQuaternion && to?.isQuaternion) {
+    return from.clone().slerp(to, t);
+  }
   // Mixed or unsupported types: just return `to` instantly.
   return to;
 }
@@ -110,57 +223,285 @@ function cubicBezier(p0, p1, p2, p3) {
   return x => sampleCurveY(solveTforX(x));
 }
 
+/* ───────────────── EASING ───────────────── */
+
+const CSS_EASING_KEYWORDS = new Set([
+  'linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end'
+]);
+// lower-case name -> timing function string or (t) => number
+const namedEasings = new Map();
+// timing string -> { ease } or { spring }
+const parsedEasings = new Map();
+const warnedEasings = new Set();
+const SPRING_REST_DELTA = 0.001;
+
+/**
+ * `steps(n, jump-*)`: `n` equal steps; `jump-start` / `start` jumps at the
+ * beginning, `jump-end` / `end` (default) at the end, `jump-both` at both and
+ * `jump-none` at neither.
+ */
+function stepsEasing(count, position = 'jump-end') {
+  const jumpStart = position === 'jump-start' || position === 'start' || position === 'jump-both';
+  const jumps =
+    position === 'jump-both' ? count + 1 : position === 'jump-none' ? count - 1 : count;
+  return t => {
+    let step = Math.floor(t * count);
+    if (jumpStart) step += 1;
+    if (t >= 0 && step < 0) step = 0;
+    if (t <= 1 && step > jumps) step = jumps;
+    return step / jumps;
+  };
+}
+
 /**
- * Resolve an easing function from a CSS timing function string.
- *
- * @param {string} timingFunction
- * @returns {(t:number)=>number}
+ * CSS `linear(0, 0.25 30%, 1)`: straight segments through the given output
+ * stops. A stop may carry one or two input percentages; stops without one
+ * are spread evenly between their neighbours.
+ */
+function linearStopsEasing(args) {
+  const points = [];
+  for (const arg of args) {
+    const [output, ...inputs] = arg.trim().split(/\s+/);
+    const value = parseFloat(output);
+    if (!Number.isFinite(value)) return null;
+    if (!inputs.length) points.push({ output: value, input: null });
+    inputs.forEach(input => points.push({ output: value, input: parseFloat(input) / 100 }));
+  }
+  if (points.length < 2) return null;
+
+  if (points[0].input === null) points[0].input = 0;
+  const last = points[points.length - 1];
+  if (last.input === null) last.input = 1;
+  // inputs never go backwards
+  let highest = -Infinity;
+  for (const point of points) {
+    if (point.input === null) continue;
+    highest = Math.max(highest, point.input);
+    point.input = highest;
+  }
+  // evenly space runs of stops without an input
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].input !== null) continue;
+    let j = i;
+    while (points[j].input === null) j++;
+    const from = points[i - 1].input;
+    const span = (points[j].input - from) / (j - i + 1);
+    for (let k = i; k < j; k++) points[k].input = from + span * (k - i + 1);
+  }
+
+  return t => {
+    if (t <= points[0].input) return points[0].output;
+    for (let i = 1; i < points.length; i++) {
+      const b = points[i];
+      if (t >= b.input) continue;
+      const a = points[i - 1];
+      return a.output + ((b.output - a.output) * (t - a.input)) / (b.input - a.input);
+    }
+    return points[points.length - 1].output;
+  };
+}
+
+/**
+ * `spring(mass, stiffness, damping[, velocity])`: a damped spring pulled
+ * from 0 to 1, in seconds of physical time. `settle` is when it comes to
+ * rest (within 0.1%), which may be later than the transition's duration.
  */
-function _get_Equation(timingFunction) {
-  switch (timingFunction) {
+function springMotion(mass = 1, stiffness = 100, damping = 10, velocity = 0) {
+  if (!(mass > 0) || !(stiffness > 0) || !(damping >= 0)) return null;
+  const w0 = Math.sqrt(stiffness / mass);
+  const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+
+  let position;
+  if (zeta < 1) {
+    const wd = w0 * Math.sqrt(1 - zeta * zeta);
+    const b = (zeta * w0 - velocity) / wd;
+    position = t => 1 - Math.exp(-zeta * w0 * t) * (Math.cos(wd * t) + b * Math.sin(wd * t));
+  } else if (zeta === 1) {
+    position = t => 1 - Math.exp(-w0 * t) * (1 + (w0 - velocity) * t);
+  } else {
+    const root = Math.sqrt(zeta * zeta - 1);
+    const r1 = -w0 * (zeta - root);
+    const r2 = -w0 * (zeta + root);
+    const c1 = (-velocity - r2) / (r1 - r2);
+    const c2 = 1 - c1;
+    position = t => 1 - (c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t));
+  }
+
+  // last moment it is still outside the rest band, sampled at 240Hz
+  const dt = 1 / 240;
+  let settle = 0;
+  for (let t = 0; t < 60; t += dt) {
+    if (Math.abs(position(t) - 1) >= SPRING_REST_DELTA) settle = t + dt;
+  }
+  return { position, settle };
+}
+
+function penner(name) {
+  const c4 = (2 * Math.PI) / 3;
+  const c5 = (2 * Math.PI) / 4.5;
+  switch (name) {
+    case 'elastic-in':
+      return t => (t <= 0 ? 0 : t >= 1 ? 1 : -(2 ** (10 * t - 10)) * Math.sin((t * 10 - 10.75) * c4));
+    case 'elastic-out':
+      return t => (t <= 0 ? 0 : t >= 1 ? 1 : 2 ** (-10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1);
+    case 'elastic-in-out':
+      return t => {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        return t < 0.5
+          ? -(2 ** (20 * t - 10) * Math.sin((20 * t - 11.125) * c5)) / 2
+          : (2 ** (-20 * t + 10) * Math.sin((20 * t - 11.125) * c5)) / 2 + 1;
+      };
+    default:
+      return null;
+  }
+}
+
+function parseEasing(text, seen = new Set()) {
+  switch (text) {
     case 'linear':
-      return t => t;
+      return { ease: t => t };
     case 'ease':
-      return cubicBezier(0.25, 0.1, 0.25, 1.0);
+      return { ease: cubicBezier(0.25, 0.1, 0.25, 1.0) };
     case 'ease-in':
-      return cubicBezier(0.42, 0, 1.0, 1.0);
+      return { ease: cubicBezier(0.42, 0, 1.0, 1.0) };
     case 'ease-out':
-      return cubicBezier(0, 0, 0.58, 1.0);
+      return { ease: cubicBezier(0, 0, 0.58, 1.0) };
     case 'ease-in-out':
-      return cubicBezier(0.42, 0, 0.58, 1.0);
+      return { ease: cubicBezier(0.42, 0, 0.58, 1.0) };
+    case 'step-start':
+      return { ease: stepsEasing(1, 'jump-start') };
+    case 'step-end':
+      return { ease: stepsEasing(1, 'jump-end') };
     default:
       break;
   }
 
-  if (typeof timingFunction === 'string' && timingFunction.startsWith('cubic-bezier')) {
-    const match = timingFunction.match(/cubic-bezier\(([^)]+)\)/);
-    if (match) {
-      const nums = match[1]
-        .split(/[, ]+/)
-        .map(Number)
-        .filter(n => !Number.isNaN(n));
-      if (nums.length === 4) {
-        return cubicBezier(nums[0], nums[1], nums[2], nums[3]);
+  const named = namedEasings.get(text);
+  if (named !== undefined && !seen.has(text)) {
+    if (typeof named === 'function') return { ease: named };
+    seen.add(text);
+    return parseEasing(named, seen);
+  }
+  const elastic = penner(text);
+  if (elastic) return { ease: elastic };
+
+  const match = /^([\w-]+)\(([^)]*)\)$/.exec(text);
+  if (!match) return null;
+  const [, fn, body] = match;
+  const args = body.split(',').map(arg => arg.trim()).filter(Boolean);
+  const nums = args.map(Number);
+
+  switch (fn) {
+    case 'cubic-bezier':
+      return nums.length === 4 && nums.every(Number.isFinite) ? { ease: cubicBezier(...nums) } : null;
+    case 'steps': {
+      const count = parseInt(args[0], 10);
+      const position = args[1] || 'jump-end';
+      const valid = ['jump-start', 'jump-end', 'jump-none', 'jump-both', 'start', 'end'];
+      if (!(count > 0) || !valid.includes(position) || (position === 'jump-none' && count < 2)) {
+        return null;
       }
+      return { ease: stepsEasing(count, position) };
+    }
+    case 'linear': {
+      const ease = linearStopsEasing(args);
+      return ease ? { ease } : null;
+    }
+    case 'spring': {
+      const spring = nums.every(Number.isFinite) ? springMotion(...nums) : null;
+      return spring ? { spring } : null;
     }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Register a named easing usable wherever a timing function is: in
+ * `--transition`, `--animation` and keyframe timing functions.
+ *
+ * @param {string} name e.g. `brand-in`; cannot shadow a CSS keyword
+ * @param {string|((t:number)=>number)} definition a timing function string
+ *   (`cubic-bezier(...)`, `linear(...)`, `spring(...)`, another name) or a
+ *   function of progress in [0, 1]
+ */
+export function registerEasing(name, definition) {
+  const key = String(name).trim().toLowerCase();
+  if (!/^[a-z_][\w-]*$/.test(key) || CSS_EASING_KEYWORDS.has(key)) {
+    console.warn(`Cannot register easing "${name}".`);
+    return;
+  }
+  if (typeof definition !== 'function' && typeof definition !== 'string') {
+    console.warn(`Easing "${name}" must be a function or a timing function string.`);
+    return;
   }
+  namedEasings.set(key, typeof definition === 'string' ? definition.trim().toLowerCase() : definition);
+  parsedEasings.clear();
+}
 
-  // Fallback to linear on garbage.
-  return t => t;
+/**
+ * Whether `name` is a registered or built-in named easing (`elastic-out`),
+ * beyond the CSS keywords.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isNamedEasing(name) {
+  const key = String(name).toLowerCase();
+  return namedEasings.has(key) || !!penner(key);
+}
+
+/**
+ * Resolve an easing function from a CSS timing function string.
+ * Springs run in physical time, so they need the duration the progress
+ * spans; their function then carries `settle`, the progress at which they
+ * come to rest (above 1 when that is after the duration).
+ *
+ * @param {string} timingFunction
+ * @param {number} [durationMs=1000]
+ * @returns {((t:number)=>number) & {settle?:number}}
+ */
+function _get_Equation(timingFunction, durationMs = 1000) {
+  const text = String(timingFunction || 'linear').trim().toLowerCase();
+  let easing = parsedEasings.get(text);
+  if (!easing) {
+    easing = parseEasing(text);
+    if (!easing) {
+      if (!warnedEasings.has(text)) {
+        warnedEasings.add(text);
+        console.warn(`Unknown timing function "${timingFunction}", using linear.`);
+      }
+      easing = { ease: t => t };
+    }
+    parsedEasings.set(text, easing);
+  }
+  if (!easing.spring) return easing.ease;
+
+  const seconds = Math.max(durationMs, 1) / 1000;
+  const { position, settle } = easing.spring;
+  const ease = t => position(t * seconds);
+  ease.settle = settle / seconds;
+  return ease;
 }
 
 /**
  * Animate between two values over time.
  *
- * - Supports numbers and arrays (arrays follow the tolerant rule above).
+ * - Supports numbers, arrays (tolerant rule above), THREE.Color and
+ *   THREE.Quaternion (see prepareLerpEndpoints for rotations).
  * - Non-animatable values resolve instantly (onUpdate + onComplete with `to`).
+ * - A spring() timing function runs on until it settles, then lands on `to`.
  *
- * @param {number|Array<number>} from
- * @param {number|Array<number>} to
+ * @param {number|Array<number>|THREE.Color|THREE.Quaternion} from
+ * @param {number|Array<number>|THREE.Color|THREE.Quaternion} to
  * @param {number} durationMs
  * @param {(value:any, easedT:number) => void} onUpdate
  * @param {(finalValue:any) => void} [onComplete]
  * @param {string} [timingFunction='linear']
+ * @param {AbortSignal|null} [signal=null]
+ * @param {import('./clock.js').CellClock} [clock=defaultClock] time source,
+ *   e.g. `cell.clock`
  */
 export function animateLerp(
   from,
@@ -169,20 +510,17 @@ export function animateLerp(
   onUpdate,
   onComplete,
   timingFunction = 'linear',
-  signal = null
+  signal = null,
+  clock = defaultClock
 ) {
   const isAnimatable = v =>
-    typeof v === 'number' || Array.isArray(v);
-  let rafId = 0;
+    typeof v === 'number' || Array.isArray(v) || !!v?.isColor || !!v?.isQuaternion;
   let settled = false;
 
   const finish = (shouldComplete, value = to) => {
     if (settled) return;
     settled = true;
-    if (rafId) {
-      cancelAnimationFrame(rafId);
-      rafId = 0;
-    }
+    clock.remove(step);
     if (signal && onAbort) {
       signal.removeEventListener('abort', onAbort);
     }
@@ -218,30 +556,219 @@ export function animateLerp(
     return () => finish(false);
   }
 
-  const start = performance.now();
-  const ease = _get_Equation(timingFunction);
+  const start = clock.time;
+  const ease = _get_Equation(timingFunction, durationMs);
+  const end = Math.max(1, ease.settle || 1);
 
-  function step(now) {
+  function step() {
     if (settled || signal?.aborted) {
       finish(false);
       return;
     }
-    let t = (now - start) / durationMs;
-    if (t >= 1) t = 1;
-    const easedT = ease(t);
+    const t = Math.min(end, Math.max(0, (clock.time - start) / durationMs));
+    const easedT = t >= end ? 1 : ease(t);
     const value = lerpValue(from, to, easedT, lerpNumber);
     if (onUpdate) onUpdate(value, easedT);
-    if (t < 1) {
-      rafId = requestAnimationFrame(step);
-    } else {
-      finish(true, value);
-    }
+    if (t >= end) finish(true, value);
   }
 
-  rafId = requestAnimationFrame(step);
+  clock.add(step);
   return () => finish(false);
 }
 
+/* ───────────────── LIFECYCLE EVENTS ───────────────── */
+
+/**
+ * Report a transition / animation event on the object (`Object3D`
+ * listeners) and on its element as a bubbling CustomEvent. Both carry the
+ * same `detail`, which also names the object.
+ */
+function dispatchLifecycleEvent(object, type, detail) {
+  const eventDetail = { ...detail, object };
+  object.dispatchEvent?.({ type, target: object, detail: eventDetail });
+  const domEl = object.userData?.domEl;
+  if (domEl && typeof CustomEvent === 'function') {
+    domEl.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: eventDetail }));
+  }
+}
+
+/* ───────────────── TRANSITIONS ───────────────── */
+
+// object -> Map<property, running transition>
+const runningTransitions = new WeakMap();
+
+function numericComponents(value) {
+  if (typeof value === 'number') return [value];
+  if (Array.isArray(value)) return value.filter(v => typeof v === 'number');
+  if (typeof value?.toArray === 'function') return value.toArray().filter(v => typeof v === 'number');
+  return null;
+}
+
+// Same value for transition purposes; `b`'s components decide the length,
+// so an Euler's [x, y, z, order] equals the (x, y, z) tuple written to it
+function sameTransitionValue(a, b) {
+  const ca = numericComponents(a);
+  const cb = numericComponents(b);
+  if (!ca || !cb) return a === b;
+  if (ca.length < cb.length) return false;
+  return cb.every((v, i) => Math.abs(v - ca[i]) < 1e-9);
+}
+
+function cancelRunningTransition(object, property, transition) {
+  transition.clock.remove(transition.step);
+  runningTransitions.get(object)?.delete(property);
+  const elapsedTime = Math.min(transition.duration, Math.max(0, transition.clock.time - transition.start));
+  dispatchLifecycleEvent(object, 'transitioncancel', { property, elapsedTime, ...transition.detail });
+}
+
+/**
+ * Transition `object.<property>` to `to`, CSS-style.
+ *
+ * - A transition already heading to `to` keeps running.
+ * - Any other running transition on the property is cancelled
+ *   (`transitioncancel`) and the new one starts from the current value.
+ * - Going back to where a running transition started (hover in, then out)
+ *   is shortened by how far that transition had got, like CSS's reversing
+ *   shortening factor.
+ * - `transitionstart` fires when the delay is over, `transitionend` (and
+ *   the older `TransitionFinished`) when it completes; see
+ *   dispatchLifecycleEvent. `detail` has `property` and `elapsedTime` (ms).
+ *
+ * @param {THREE.Object3D} object
+ * @param {string} property e.g. `position`, `material-color`
+ * @param {{
+ *   from: any, to: any, target?: any,
+ *   config: {duration:number, delay?:number, timing?:{fun?:string}},
+ *   apply: (value:any) => void,
+ *   detail?: Object
+ * }} options `target` is the live value at the destination (see
+ *   prepareLerpEndpoints); `detail` is merged into event details
+ * @returns {boolean} false when nothing runs and the caller should assign
+ *   `to` itself (no change, or zero combined duration)
+ */
+export function startTransition(object, property, { from, to, target, config, apply, detail = {} }) {
+  let transitions = runningTransitions.get(object);
+  const running = transitions?.get(property);
+  if (running && sameTransitionValue(running.to, to)) return true;
+
+  let duration = config.duration;
+  let delay = config.delay || 0;
+  let shortening = 1;
+  let reversingStart = from;
+  if (running) {
+    if (sameTransitionValue(running.reversingStart, to)) {
+      const progress = Math.min(1, Math.max(0, running.progress));
+      shortening = Math.min(1, Math.max(0, progress * running.shortening + 1 - running.shortening));
+      duration *= shortening;
+      if (delay < 0) delay *= shortening;
+      reversingStart = running.to;
+    }
+    cancelRunningTransition(object, property, running);
+  }
+
+  if (sameTransitionValue(from, to) || duration <= 0 || duration + delay <= 0) return false;
+
+  if (!transitions) {
+    transitions = new Map();
+    runningTransitions.set(object, transitions);
+  }
+
+  const endpoints = prepareLerpEndpoints(from, to, target);
+  const ease = _get_Equation(config.timing?.fun || 'linear', duration);
+  // springs keep moving until they settle, which may be past the duration
+  const end = Math.max(1, ease.settle || 1);
+  const clock = getObjectClock(object);
+  const start = clock.time + delay;
+  const transition = {
+    to,
+    reversingStart,
+    shortening,
+    progress: 0,
+    started: false,
+    clock,
+    start,
+    duration,
+    step: null,
+    detail
+  };
+
+  transition.step = () => {
+    const elapsed = clock.time - start;
+    if (elapsed < 0) {
+      // seeked back into the delay
+      if (transition.progress) {
+        transition.progress = 0;
+        apply(lerpValue(endpoints.from, endpoints.to, 0, lerpNumber));
+      }
+      return;
+    }
+    if (!transition.started) {
+      transition.started = true;
+      dispatchLifecycleEvent(object, 'transitionstart', { property, elapsedTime: Math.max(0, -delay), ...detail });
+    }
+    const t = Math.min(end, elapsed / duration);
+    transition.progress = t >= end ? 1 : ease(t);
+    apply(lerpValue(endpoints.from, endpoints.to, transition.progress, lerpNumber));
+    if (t >= end) {
+      clock.remove(transition.step);
+      transitions.delete(property);
+      dispatchLifecycleEvent(object, 'transitionend', { property, elapsedTime: duration, ...detail });
+      object.dispatchEvent?.({
+        type: 'TransitionFinished',
+        target: object,
+        detail: { property, duration, ...detail }
+      });
+    }
+  };
+
+  transitions.set(property, transition);
+  clock.add(transition.step);
+  return true;
+}
+
+/**
+ * Cancel running transitions on `object` (only `property`'s when given),
+ * leaving values where they are. Dispatches `transitioncancel` for each.
+ *
+ * @param {THREE.Object3D} object
+ * @param {string|null} [property=null]
+ */
+export function cancelTransitions(object, property = null) {
+  const transitions = runningTransitions.get(object);
+  if (!transitions) return;
+  if (property != null) {
+    const running = transitions.get(property);
+    if (running) cancelRunningTransition(object, property, running);
+    return;
+  }
+  for (const [prop, running] of [...transitions]) {
+    cancelRunningTransition(object, prop, running);
+  }
+}
+
+/**
+ * Whether a transition is running (or waiting out its delay) on
+ * `object.<property>`.
+ *
+ * @param {THREE.Object3D} object
+ * @param {string} property
+ * @returns {boolean}
+ */
+export function isTransitioning(object, property) {
+  return !!runningTransitions.get(object)?.has(property);
+}
+
+/* ───────────────── KEYFRAME ANIMATIONS ───────────────── */
+
+// clock -> { players, tick }: running keyframe animations in start order,
+// stepped by one ticker per clock, so for a property two animations share
+// the later one in the list wins
+const clockAnimations = new WeakMap();
+// object -> Set of its animations (running or filling forwards)
+const objectAnimations = new WeakMap();
+// object -> Map<property, value the cascade would give it without animations>
+const underlyingValues = new WeakMap();
+
 /**
  * Parse a keyframe time string into milliseconds.
  *
@@ -273,133 +800,758 @@ function parseKeyframeTime(keyText, totalDuration) {
   return Number.isFinite(n) ? n : 0;
 }
 
+function snapshotValue(value) {
+  if (value?.isColor || value?.isQuaternion) return value.clone();
+  if (value && typeof value.toArray === 'function') return value.toArray();
+  return value;
+}
+
+/**
+ * Per-property keyframe tracks of a @keyframes rule: property → frames
+ * sorted by offset (0..1). A property only animates between the keyframes
+ * that declare it, so animations of disjoint properties never interfere.
+ * A keyframe's `animation-timing-function` (or `--animation-timing-function`)
+ * eases each of its properties on the way to their next keyframe.
+ */
+function buildKeyframeTracks(keyFramesRule, duration) {
+  const tracks = new Map();
+  for (const rule of keyFramesRule.cssRules) {
+    const offsets = String(rule.keyText)
+      .split(',')
+      .map(text => Math.min(1, Math.max(0, parseKeyframeTime(text, duration) / duration)));
+    const timing = (
+      rule.style.getPropertyValue('--animation-timing-function') ||
+      rule.style.getPropertyValue('animation-timing-function')
+    ).trim().toLowerCase() || null;
+
+    for (let i = 0; i < rule.style.length; i++) {
+      const propName = rule.style[i];
+      // custom props are expected to be `--foo-bar`
+      if (!propName.startsWith('--') || propName === '--animation-timing-function') continue;
+      const raw = rule.style.getPropertyValue(propName).trim();
+      const prop = propName.slice(2);
+      let frames = tracks.get(prop);
+      if (!frames) {
+        frames = [];
+        tracks.set(prop, frames);
+      }
+      offsets.forEach(offset => frames.push({ offset, raw, timing }));
+    }
+  }
+  tracks.forEach(frames => frames.sort((a, b) => a.offset - b.offset));
+  return tracks;
+}
+
+function canInterpolate(from, to) {
+  return (
+    (typeof from === 'number' && typeof to === 'number') ||
+    (Array.isArray(from) && Array.isArray(to)) ||
+    (!!from?.isColor && !!to?.isColor) ||
+    (!!from?.isQuaternion && !!to?.isQuaternion)
+  );
+}
+
+/**
+ * Evaluate every keyframe value against the object's current state. Runs
+ * once per iteration so `#id` references follow their source. A track
+ * without a 0% or 100% keyframe starts or ends at the property's
+ * underlying value. Async values (assets) fill in when they resolve.
+ */
+function resolveKeyframeTracks(object, tracks) {
+  const underlying = underlyingValues.get(object);
+  const resolved = [];
+  for (const [prop, frames] of tracks) {
+    const { parent, key } = deep_searchParms(object, prop.split('-'));
+    if (!parent) continue;
+    const track = { prop, parent, key, frames: [], segments: [], applied: undefined };
+    frames.forEach(({ offset, raw, timing }) => {
+      const frame = { offset, timing, value: CSSValueTo3JSValue(raw, object, parent[key]) };
+      if (frame.value && typeof frame.value.then === 'function') {
+        const pending = frame.value;
+        frame.value = undefined;
+        pending.then(value => {
+          frame.value = value ?? undefined;
+          track.segments = [];
+        });
+      }
+      track.frames.push(frame);
+    });
+
+    const base = underlying?.has(prop) ? underlying.get(prop) : snapshotValue(parent[key]);
+    if (track.frames[0].offset > 0) track.frames.unshift({ offset: 0, timing: null, value: base });
+    if (track.frames[track.frames.length - 1].offset < 1) {
+      track.frames.push({ offset: 1, timing: null, value: base });
+    }
+    resolved.push(track);
+  }
+  return resolved;
+}
+
+/**
+ * Value of a track at `progress`. Values that cannot be interpolated
+ * (assets, strings, booleans, mismatched shapes) hold until the keyframe
+ * that sets the next one is reached. Each segment eases with its starting
+ * keyframe's timing function, else the animation's; a spring is cut off
+ * at the next keyframe.
+ */
+function sampleKeyframeTrack(track, progress, player) {
+  const { frames } = track;
+  if (progress <= frames[0].offset) return frames[0].value;
+  for (let i = 1; i < frames.length; i++) {
+    const to = frames[i];
+    if (progress > to.offset) continue;
+    const from = frames[i - 1];
+    if (from.value === undefined || to.value === undefined) return undefined;
+    const span = to.offset - from.offset;
+    if (span <= 0 || progress === to.offset) return to.value;
+    if (!track.segments[i]) {
+      const endpoints = prepareLerpEndpoints(from.value, to.value, track.parent[track.key]);
+      track.segments[i] = {
+        ...endpoints,
+        discrete: !canInterpolate(endpoints.from, endpoints.to),
+        ease: _get_Equation(from.timing || player.config.timing?.fun, span * player.config.duration)
+      };
+    }
+    const segment = track.segments[i];
+    if (segment.discrete) return from.value;
+    const eased = segment.ease((progress - from.offset) / span);
+    return lerpValue(segment.from, segment.to, eased, lerpNumber);
+  }
+  return frames[frames.length - 1].value;
+}
+
+function isReversedIteration(direction, iteration) {
+  switch (direction) {
+    case 'reverse':
+      return true;
+    case 'alternate':
+      return iteration % 2 === 1;
+    case 'alternate-reverse':
+      return iteration % 2 === 0;
+    default:
+      return false;
+  }
+}
+
+function applyKeyframes(player, iteration, progress) {
+  if (player.iteration !== iteration) {
+    player.iteration = iteration;
+    player.tracks = resolveKeyframeTracks(player.object, player.keyframes);
+  }
+  const directed = isReversedIteration(player.config.direction, iteration) ? 1 - progress : progress;
+  for (const track of player.tracks) {
+    const value = sampleKeyframeTrack(track, directed, player);
+    // discrete values come back as the same reference; assign them once
+    if (value === undefined || value === track.applied) continue;
+    track.applied = value;
+    exchange_resolved_rule(track.parent, track.key, value, `--${track.prop}`);
+  }
+  player.applying = true;
+}
+
+/**
+ * Put the underlying values back on properties no other applying animation
+ * holds. `release` also detaches the player from its object for good.
+ */
+function restoreAnimatedProperties(player, release) {
+  const { object } = player;
+  const players = objectAnimations.get(object);
+  if (release && !players?.delete(player)) return;
+  player.applying = false;
+  // re-resolve on the next apply so discrete values are assigned again
+  player.iteration = -1;
+  const underlying = underlyingValues.get(object);
+  if (!underlying) return;
+
+  // finished animations still filling don't repaint by themselves
+  const refill = new Set();
+  for (const prop of player.keyframes.keys()) {
+    const others = [...(players || [])].filter(other => other !== player && other.keyframes.has(prop));
+    const holders = others.filter(other => other.applying);
+    if (holders.length) {
+      const top = holders[holders.length - 1];
+      if (top.ended) refill.add(top);
+      continue;
+    }
+    if (underlying.has(prop)) {
+      const { parent, key } = deep_searchParms(object, prop.split('-'));
+      exchange_rule(parent, key, underlying.get(prop));
+    }
+    if (release && !others.length) underlying.delete(prop);
+  }
+  refill.forEach(other => {
+    other.iteration = -1;
+    renderAnimation(other);
+  });
+}
+
+// hand properties no other applying animation holds back to the cascade
+function releaseAnimatedProperties(player) {
+  restoreAnimatedProperties(player, true);
+}
+
+function endAnimation(player, fill, cancelled = false) {
+  if (player.ended) return;
+  player.ended = true;
+  clockAnimations.get(player.clock)?.players.delete(player);
+  player.unsubscribe?.();
+  player.unsubscribe = null;
+  // a fill keeps holding its properties until the animation is stopped
+  if (!fill || cancelled) releaseAnimatedProperties(player);
+  if (player.events) {
+    const { activeDuration } = activeDurationOf(player.config);
+    dispatchAnimationEvent(
+      player,
+      cancelled ? 'animationcancel' : 'animationend',
+      cancelled ? Math.min(activeDuration, Math.max(0, player.time)) : activeDuration
+    );
+  }
+  player.onEnd?.(cancelled);
+}
+
+function dispatchAnimationEvent(player, type, elapsedTime) {
+  dispatchLifecycleEvent(player.object, type, {
+    animationName: player.config.name,
+    properties: [...player.keyframes.keys()],
+    elapsedTime
+  });
+}
+
+// `animationstart` on entering the active phase, `animationiteration` when
+// a later iteration begins (once per frame, however many were skipped)
+function reportAnimationPhase(player, phase, iteration = 0) {
+  if (!player.events || phase === 'before') return;
+  if (!player.reportedStart) {
+    player.reportedStart = true;
+    player.reportedIteration = iteration;
+    dispatchAnimationEvent(player, 'animationstart', Math.max(0, -(player.config.delay || 0)));
+    return;
+  }
+  if (phase === 'active' && iteration > player.reportedIteration) {
+    player.reportedIteration = iteration;
+    dispatchAnimationEvent(player, 'animationiteration', iteration * player.config.duration);
+  }
+}
+
+function activeDurationOf(config) {
+  const iterations =
+    config.iteration?.count === 'infinite' ? Infinity : Math.max(0, Number(config.iteration?.count ?? 1));
+  return { iterations, activeDuration: config.duration > 0 ? config.duration * iterations : 0 };
+}
+
 /**
- * Apply a CSS @keyframes animation to a Three.js object.
+ * Show the animation at `player.time` (ms since the end of its delay) and
+ * end it once it runs off its active interval in the direction it plays.
+ */
+function renderAnimation(player) {
+  const { config } = player;
+  const duration = config.duration;
+  const { iterations, activeDuration } = activeDurationOf(config);
+  const fill = config.fillMode || 'none';
+  const backwards = fill === 'backwards' || fill === 'both';
+  // timeline-driven animations hold their end state at 100% and never end
+  const forwards = fill === 'forwards' || fill === 'both' || !!player.timeline;
+
+  if (player.time < 0 || (player.time === 0 && player.rate < 0)) {
+    if (backwards) applyKeyframes(player, 0, 0);
+    else if (player.applying) restoreAnimatedProperties(player, false);
+    if (!player.paused && player.rate < 0 && player.time <= -(config.delay || 0)) {
+      player.time = -(config.delay || 0);
+      endAnimation(player, backwards);
+    }
+    return;
+  }
+
+  if (player.time >= activeDuration) {
+    if (forwards) {
+      const whole = iterations % 1 === 0;
+      const lastIteration = Math.max(0, whole ? iterations - 1 : Math.floor(iterations));
+      applyKeyframes(player, lastIteration, iterations === 0 ? 0 : whole ? 1 : iterations % 1);
+    } else if (player.applying) {
+      restoreAnimatedProperties(player, false);
+    }
+    reportAnimationPhase(player, 'after');
+    if (!player.paused && player.rate >= 0 && !player.timeline) {
+      player.time = activeDuration;
+      endAnimation(player, forwards);
+    }
+    return;
+  }
+
+  const iteration = Math.floor(player.time / duration);
+  applyKeyframes(player, iteration, (player.time - iteration * duration) / duration);
+  reportAnimationPhase(player, 'active', iteration);
+}
+
+function stepAnimation(player, dt) {
+  if (!player.paused) player.time += dt * player.rate;
+  renderAnimation(player);
+}
+
+// a timeline's progress maps onto the active duration (one iteration when
+// infinite); delays do not apply
+function followTimeline(player) {
+  if (player.paused || player.ended) return;
+  const { activeDuration } = activeDurationOf(player.config);
+  const span = Number.isFinite(activeDuration) ? activeDuration : player.config.duration;
+  player.time = player.timeline.progress * span;
+  renderAnimation(player);
+}
+
+function animationTicker(clock) {
+  let entry = clockAnimations.get(clock);
+  if (entry) return entry;
+  entry = {
+    players: new Set(),
+    tick() {
+      for (const player of [...entry.players]) {
+        if (!entry.players.has(player)) continue;
+        // each player counts from the clock time it was (re)started at
+        const dt = clock.time - player.clockTime;
+        player.clockTime = clock.time;
+        stepAnimation(player, dt);
+      }
+      if (!entry.players.size) clock.remove(entry.tick);
+    }
+  };
+  clockAnimations.set(clock, entry);
+  return entry;
+}
+
+// remember what the cascade gives each animated property before it is driven
+function trackUnderlyingValues(object, keyframes) {
+  let underlying = underlyingValues.get(object);
+  if (!underlying) {
+    underlying = new Map();
+    underlyingValues.set(object, underlying);
+  }
+  for (const prop of keyframes.keys()) {
+    if (underlying.has(prop)) continue;
+    const { parent, key } = deep_searchParms(object, prop.split('-'));
+    if (parent) underlying.set(prop, snapshotValue(parent[key]));
+  }
+}
+
+// (re)start driving a player from its clock or timeline; it goes after the others
+function activateAnimation(player) {
+  trackUnderlyingValues(player.object, player.keyframes);
+  player.ended = false;
+  player.clockTime = player.clock.time;
+  let players = objectAnimations.get(player.object);
+  if (!players) {
+    players = new Set();
+    objectAnimations.set(player.object, players);
+  }
+  players.delete(player);
+  players.add(player);
+  if (player.timeline) {
+    player.unsubscribe = player.timeline.subscribe(() => followTimeline(player));
+    followTimeline(player);
+    return;
+  }
+  const ticker = animationTicker(player.clock);
+  ticker.players.delete(player);
+  ticker.players.add(player);
+  player.clock.add(ticker.tick);
+}
+
+function createAnimation(object, config, keyframes, onEnd, { timeline = null, events = false } = {}) {
+  const player = {
+    object,
+    config,
+    keyframes,
+    tracks: null,
+    iteration: -1,
+    time: -(config.delay || 0),
+    rate: 1,
+    paused: config.playState === 'paused',
+    applying: false,
+    ended: false,
+    clock: getObjectClock(object),
+    clockTime: 0,
+    timeline,
+    unsubscribe: null,
+    events,
+    reportedStart: false,
+    reportedIteration: 0,
+    onEnd
+  };
+  activateAnimation(player);
+  return player;
+}
+
+/**
+ * Run a CSS @keyframes animation on a Three.js object. Several may run on
+ * one object at once: each only drives the properties its keyframes
+ * declare, and where two share a property the later-started one wins.
+ * While an animation covers a property, paints update its underlying value
+ * instead (see assignBeneathAnimations), which comes back when the
+ * animation ends without a forwards fill or is stopped. Dispatches
+ * `animationstart`, `animationiteration`, `animationend` and
+ * `animationcancel` (see dispatchLifecycleEvent). With a `timeline`
+ * (`scroll()`, `view()`, a registered `--name`) progress follows the
+ * timeline instead of the clock, and the animation runs until stopped.
  *
  * @param {THREE.Object3D} object
  * @param {{
  *   name: string,
  *   duration: number,
+ *   delay?: number,
  *   timing?: { fun?: string },
- *   iteration?: { count?: number | string }
+ *   iteration?: { count?: number | string },
+ *   direction?: 'normal'|'reverse'|'alternate'|'alternate-reverse',
+ *   fillMode?: 'none'|'forwards'|'backwards'|'both',
+ *   playState?: 'running'|'paused',
+ *   timeline?: string
  * }} animationObj
+ * @param {AbortSignal|null} [signal=null] stops the animation
+ * @returns {Promise<void>} settles when the animation finishes or stops
  */
-export async function KeyFrameAnimationLerp(object, animationObj, signal = null) {
-  if (!object || !animationObj?.name || !animationObj?.duration) return;
-  if (signal?.aborted) return;
+export function KeyFrameAnimationLerp(object, animationObj, signal = null) {
+  if (!object || !animationObj?.name || !animationObj?.duration) return Promise.resolve();
+  if (signal?.aborted) return Promise.resolve();
 
-  const keyFramesRule = getAnimationMap(animationObj.name);
+  const keyFramesRule = getAnimationMap(animationObj.name, object.userData?.domEl);
   if (!keyFramesRule || !keyFramesRule.cssRules) {
     console.error(`Animation "${animationObj.name}" not found or has no rules.`);
-    return;
+    return Promise.resolve();
   }
 
-  const duration = animationObj.duration;
+  const timeline = resolveAnimationTimeline(animationObj.timeline, object);
+  // `none` or an unknown timeline: the animation has no effect
+  if (timeline === null) return Promise.resolve();
 
-  const rules = Array.from(keyFramesRule.cssRules).slice();
-  rules.sort(
-    (a, b) =>
-      parseKeyframeTime(a.keyText, duration) -
-      parseKeyframeTime(b.keyText, duration)
-  );
+  const keyframes = buildKeyframeTracks(keyFramesRule, animationObj.duration);
+  return new Promise(resolve => {
+    const player = createAnimation(object, animationObj, keyframes, () => resolve(), { timeline, events: true });
+    signal?.addEventListener(
+      'abort',
+      () => (player.ended ? releaseAnimatedProperties(player) : endAnimation(player, false, true)),
+      { once: true }
+    );
+  });
+}
 
-  const runOnce = async () => {
-    for (let i = 0; i < rules.length - 1; i++) {
-      if (signal?.aborted) return;
-      const fromRule = rules[i];
-      const toRule = rules[i + 1];
-      const t0 = parseKeyframeTime(fromRule.keyText, duration);
-      const t1 = parseKeyframeTime(toRule.keyText, duration);
-      const segmentMs = t1 - t0;
-      if (segmentMs <= 0) continue;
-
-      const fromProps = {};
-      const toProps = {};
-
-      // Collect animatable custom props from "from" frame
-      for (const propName of fromRule.style) {
-        const raw = fromRule.style.getPropertyValue(propName);
-        // custom props are expected to be `--foo-bar`
-        if (!propName.startsWith('--')) continue;
-        fromProps[propName.slice(2)] = CSSValueTo3JSValue(raw, object);
-      }
+/**
+ * Pause or resume an object's animations, CSS-style: `states[i]`
+ * (`'running'` / `'paused'`) applies to `animations[i]`, repeating the
+ * list when it is shorter.
+ *
+ * @param {THREE.Object3D} object
+ * @param {Array<Object>} animations configs the animations were started with
+ * @param {string[]} states
+ */
+export function setAnimationPlayStates(object, animations, states) {
+  if (!states?.length) return;
+  for (const player of objectAnimations.get(object) || []) {
+    const index = animations.indexOf(player.config);
+    if (index < 0) continue;
+    const paused = states[index % states.length] === 'paused';
+    const resumed = player.paused && !paused;
+    player.paused = paused;
+    if (resumed && player.timeline) followTimeline(player);
+  }
+}
+
+/**
+ * Stop every keyframe animation on `object`, including finished ones still
+ * filling forwards, and restore the properties they held.
+ *
+ * @param {THREE.Object3D} object
+ */
+export function stopAnimations(object) {
+  for (const player of [...(objectAnimations.get(object) || [])]) {
+    if (player.ended) releaseAnimatedProperties(player);
+    else endAnimation(player, false, true);
+  }
+}
+
+/**
+ * Assign a cascade value to a property that keyframe animations cover
+ * (the property itself, a part such as `position-y` of `position`, or a
+ * whole it is part of). The assignment lands on the underlying value,
+ * which the animations restore when they let go; values they are driving
+ * right now stay on screen.
+ *
+ * @param {THREE.Object3D} object
+ * @param {string} property e.g. `position`
+ * @param {() => void} assign writes the cascade value to the object
+ * @returns {boolean} false, without calling `assign`, when no animation
+ *   covers the property
+ */
+export function assignBeneathAnimations(object, property, assign) {
+  const underlying = underlyingValues.get(object);
+  if (!underlying?.size) return false;
+  const overlaps = prop =>
+    prop === property || prop.startsWith(`${property}-`) || property.startsWith(`${prop}-`);
+  const slots = [...underlying.keys()].filter(overlaps).map(prop => ({
+    prop,
+    held: [...(objectAnimations.get(object) || [])].some(
+      player => player.applying && player.keyframes.has(prop)
+    ),
+    ...deep_searchParms(object, prop.split('-'))
+  }));
+  if (!slots.length) return false;
+
+  const live = slots.map(slot => (slot.held ? snapshotValue(slot.parent[slot.key]) : undefined));
+  slots.forEach(slot => slot.held && exchange_rule(slot.parent, slot.key, underlying.get(slot.prop)));
+  assign();
+  slots.forEach((slot, i) => {
+    underlying.set(slot.prop, snapshotValue(slot.parent[slot.key]));
+    if (slot.held) exchange_rule(slot.parent, slot.key, live[i]);
+  });
+  return true;
+}
+
+/* ───────────────── SCRIPTED ANIMATIONS ───────────────── */
+
+// a keyframe value as the CSS text a `--prop` declaration would hold
+function keyframeValueText(value) {
+  if (Array.isArray(value)) return `(${value.join(', ')})`;
+  return String(value).trim();
+}
+
+/**
+ * Per-property tracks from Web-Animations-style keyframes:
+ * `[{ 'position-x': 0 }, { offset: 0.5, 'position-y': 2, easing: 'ease-in' }, { 'position-x': 4 }]`.
+ * Keys are property paths as in CSS (a leading `--` is optional); values
+ * are CSS value text, numbers or number arrays. Missing offsets are spread
+ * evenly between their neighbours, and a lone keyframe is the end state.
+ */
+function buildScriptedKeyframeTracks(keyframes) {
+  const offsets = keyframes.map(frame => (Number.isFinite(frame?.offset) ? frame.offset : null));
+  if (offsets.length === 1 && offsets[0] === null) offsets[0] = 1;
+  if (offsets.length > 1 && offsets[0] === null) offsets[0] = 0;
+  if (offsets.length > 1 && offsets[offsets.length - 1] === null) offsets[offsets.length - 1] = 1;
+  for (let i = 1; i < offsets.length; i++) {
+    if (offsets[i] !== null) continue;
+    let j = i;
+    while (offsets[j] === null) j++;
+    const step = (offsets[j] - offsets[i - 1]) / (j - i + 1);
+    for (let k = i; k < j; k++) offsets[k] = offsets[i - 1] + step * (k - i + 1);
+  }
 
-      // Collect matching props from "to" frame
-      for (const propName of toRule.style) {
-        const raw = toRule.style.getPropertyValue(propName);
-        if (!propName.startsWith('--')) continue;
-        toProps[propName.slice(2)] = CSSValueTo3JSValue(raw, object);
+  const tracks = new Map();
+  keyframes.forEach((frame, i) => {
+    const offset = Math.min(1, Math.max(0, offsets[i]));
+    const timing = frame?.easing ? String(frame.easing).trim().toLowerCase() : null;
+    for (const [name, value] of Object.entries(frame || {})) {
+      if (name === 'offset' || name === 'easing' || name === 'composite' || value == null) continue;
+      const prop = name.replace(/^--/, '');
+      let frames = tracks.get(prop);
+      if (!frames) {
+        frames = [];
+        tracks.set(prop, frames);
       }
+      frames.push({ offset, raw: keyframeValueText(value), timing });
+    }
+  });
+  tracks.forEach(frames => frames.sort((a, b) => a.offset - b.offset));
+  return tracks;
+}
+
+/**
+ * Handle on an animation started from JS (see `Cell#animate`). It plays
+ * through the same engine as CSS animations, so it shares their keyframe
+ * tracks, easing, property paths and underlying-value handling; started
+ * after them, it wins on the properties they share.
+ *
+ * Mirrors the Web Animations `Animation`: `play()`, `pause()`, `reverse()`,
+ * `cancel()`, `finish()`, `currentTime`, `playbackRate`, `playState` and a
+ * `finished` promise that resolves with the handle, or rejects with an
+ * `AbortError` when it is cancelled.
+ */
+export class ConvictAnimation {
+  /**
+   * @param {THREE.Object3D} object
+   * @param {Map<string, Array<{offset:number, raw:string, timing:string|null}>>} keyframes
+   * @param {Object} config animation settings in the shape `--animation` parses to
+   */
+  constructor(object, keyframes, config) {
+    this.object = object;
+    this.config = config;
+    this._keyframes = keyframes;
+    this._player = null;
+    this._rate = 1;
+    this._resetFinished();
+  }
 
-      const keys = Object.keys(fromProps).filter(k => k in toProps);
-      if (!keys.length) continue;
-
-      await Promise.all(
-        keys.map(key => {
-          if (signal?.aborted) return Promise.resolve();
-          const fromVal = fromProps[key];
-          const toVal = toProps[key];
-
-          // Resolve async assets before animating.
-          const resolveValue = v =>
-            (v && typeof v.then === 'function')
-              ? v
-              : Promise.resolve(v);
-
-          return Promise.all([resolveValue(fromVal), resolveValue(toVal)])
-            .then(([resolvedFrom, resolvedTo]) => new Promise(resolve => {
-              if (signal?.aborted) {
-                resolve();
-                return;
-              }
-              let done = false;
-              const finish = () => {
-                if (done) return;
-                done = true;
-                if (signal && onAbort) {
-                  signal.removeEventListener('abort', onAbort);
-                }
-                resolve();
-              };
-              const onAbort = () => finish();
-              if (signal) {
-                signal.addEventListener('abort', onAbort, { once: true });
-              }
-              animateLerp(
-                resolvedFrom,
-                resolvedTo,
-                segmentMs,
-                v => {
-                  if (signal?.aborted) return;
-                  const { parent, key: finalKey } = deep_searchParms(object, key.split('-'));
-                  exchange_rule(parent, finalKey, v);
-                },
-                finish,
-                animationObj.timing?.fun || 'linear',
-                signal
-              );
-            }));
-        })
-      );
+  /** `'idle'`, `'running'`, `'paused'` or `'finished'`. */
+  get playState() {
+    const player = this._player;
+    if (!player) return 'idle';
+    if (player.ended) return 'finished';
+    return player.paused ? 'paused' : 'running';
+  }
+
+  /** Settles when the animation next finishes or is cancelled. */
+  get finished() {
+    return this._finished;
+  }
+
+  /** Milliseconds since the start of the delay, or null while idle. */
+  get currentTime() {
+    return this._player ? this._player.time + (this.config.delay || 0) : null;
+  }
+
+  set currentTime(ms) {
+    if (!Number.isFinite(ms)) return;
+    const player = this._ensurePlayer(true);
+    player.time = ms - (this.config.delay || 0);
+    if (player.ended) this._revive();
+    renderAnimation(player);
+  }
+
+  /** Speed multiplier; negative values play backwards. */
+  get playbackRate() {
+    return this._rate;
+  }
+
+  set playbackRate(rate) {
+    if (!Number.isFinite(rate)) return;
+    this._rate = rate;
+    if (this._player) this._player.rate = rate;
+  }
+
+  /** Start or resume; a finished animation starts over from its start (or end, playing backwards). */
+  play() {
+    const player = this._ensurePlayer(false);
+    const { activeDuration } = activeDurationOf(this.config);
+    const atEnd = this._rate >= 0 ? player.time >= activeDuration : player.time <= -(this.config.delay || 0);
+    if (atEnd) {
+      this._assertFiniteBackwards();
+      player.time = this._rate >= 0 ? -(this.config.delay || 0) : activeDuration;
     }
-  };
+    player.paused = false;
+    if (player.ended) this._revive();
+  }
+
+  /** Hold the animation at its current time. */
+  pause() {
+    const player = this._ensurePlayer(true);
+    player.paused = true;
+    if (player.ended) this._revive();
+  }
 
-  let iterationCount = animationObj.iteration?.count ?? 1;
-  if (iterationCount === 'infinity' || iterationCount === 'infinite') {
-    iterationCount = Infinity;
+  /** Flip the playback direction and play. */
+  reverse() {
+    this.playbackRate = -this._rate;
+    this.play();
   }
 
-  if (iterationCount === Infinity) {
-    while (!signal?.aborted) {
-      // eslint-disable-next-line no-await-in-loop
-      await runOnce();
+  /** Jump to the end in the current direction and finish. */
+  finish() {
+    const { activeDuration } = activeDurationOf(this.config);
+    if (this._rate >= 0 && activeDuration === Infinity) {
+      throw new DOMException('Cannot finish an infinite animation.', 'InvalidStateError');
     }
-  } else {
-    const total = Number(iterationCount) || 1;
-    for (let i = 0; i < total; i++) {
-      if (signal?.aborted) return;
-      // eslint-disable-next-line no-await-in-loop
-      await runOnce();
+    const player = this._ensurePlayer(false);
+    player.time = this._rate >= 0 ? activeDuration : -(this.config.delay || 0);
+    player.paused = false;
+    if (player.ended) this._revive();
+    renderAnimation(player);
+  }
+
+  /** Stop, restore what the animation held and reject `finished`. */
+  cancel() {
+    const player = this._player;
+    if (!player) return;
+    if (player.ended) {
+      releaseAnimatedProperties(player);
+      this._player = null;
+      this._resetFinished();
+    } else {
+      endAnimation(player, false, true);
     }
   }
+
+  /** @private */
+  _resetFinished() {
+    this._finished = new Promise((resolve, reject) => {
+      this._resolveFinished = resolve;
+      this._rejectFinished = reject;
+    });
+    // nobody has to listen for a cancellation
+    this._finished.catch(() => {});
+  }
+
+  /** @private */
+  _ensurePlayer(paused) {
+    if (this._player) return this._player;
+    if (this._rate < 0) this._assertFiniteBackwards();
+    const player = createAnimation(this.object, this.config, this._keyframes, cancelled => {
+      if (!cancelled) {
+        this._resolveFinished(this);
+        return;
+      }
+      this._player = null;
+      this._rejectFinished(new DOMException('The animation was cancelled.', 'AbortError'));
+      this._resetFinished();
+    });
+    player.rate = this._rate;
+    player.paused = paused;
+    if (this._rate < 0) player.time = activeDurationOf(this.config).activeDuration;
+    this._player = player;
+    return player;
+  }
+
+  /** @private */
+  _assertFiniteBackwards() {
+    if (this._rate < 0 && activeDurationOf(this.config).activeDuration === Infinity) {
+      throw new DOMException('Cannot play an infinite animation backwards from its end.', 'InvalidStateError');
+    }
+  }
+
+  /** Put a finished player back in the frame loop, with a fresh `finished`. @private */
+  _revive() {
+    activateAnimation(this._player);
+    this._resetFinished();
+  }
+}
+
+/**
+ * Animate `object` from JS. Prefer `Cell#animate`, which also accepts the
+ * element of a convict.
+ *
+ * @param {THREE.Object3D} object
+ * @param {string|Array<Object>} keyframes an @keyframes name, or
+ *   Web-Animations-style keyframes keyed by property path
+ * @param {number|{
+ *   duration?: number,
+ *   delay?: number,
+ *   easing?: string,
+ *   iterations?: number,
+ *   direction?: 'normal'|'reverse'|'alternate'|'alternate-reverse',
+ *   fill?: 'none'|'forwards'|'backwards'|'both'|'auto',
+ *   playbackRate?: number
+ * }} [options] a duration in ms, or timing options
+ * @returns {ConvictAnimation} already playing
+ */
+export function animateObject(object, keyframes, options = {}) {
+  const timing = typeof options === 'number' ? { duration: options } : options || {};
+  const iterations = Number(timing.iterations ?? 1);
+  const config = {
+    name: typeof keyframes === 'string' ? keyframes : null,
+    duration: Math.max(0, Number(timing.duration) || 0),
+    delay: Number(timing.delay) || 0,
+    timing: { fun: timing.easing ? String(timing.easing).trim().toLowerCase() : 'linear' },
+    iteration: { count: iterations === Infinity ? 'infinite' : Math.max(0, iterations || 0) },
+    direction: timing.direction || 'normal',
+    fillMode: !timing.fill || timing.fill === 'auto' ? 'none' : timing.fill,
+    playState: 'running'
+  };
+
+  let tracks = new Map();
+  if (typeof keyframes === 'string') {
+    const keyFramesRule = getAnimationMap(keyframes, object.userData?.domEl);
+    if (keyFramesRule?.cssRules) tracks = buildKeyframeTracks(keyFramesRule, config.duration || 1);
+    else console.error(`Animation "${keyframes}" not found or has no rules.`);
+  } else if (Array.isArray(keyframes)) {
+    tracks = buildScriptedKeyframeTracks(keyframes);
+  }
+
+  const animation = new ConvictAnimation(object, tracks, config);
+  if (Number.isFinite(timing.playbackRate)) animation.playbackRate = timing.playbackRate;
+  animation.play();
+  return animation;
 }
@@ -5,27 +5,89 @@
 // - CSS → Three value conversion
 // - Transition interpolation
 // - Keyframe-driven animations
-// - Pseudo-class painting (:hover, :focus, :active)
+// - Pseudo-class painting (:hover, :focus, :focus-visible, :active, :dragging)
+// - Cascade-driven painting (see cascade.js for selector matching)
 
-import { gatherAssetRules, getAsset } from './utils.js';
+import { gatherAssetRules, getAsset, splitTopLevel } from './utils.js';
 import Cell from './cell.js';
-import { animateLerp, KeyFrameAnimationLerp } from './Train.js';
+import {
+  assignBeneathAnimations,
+  cancelTransitions,
+  isNamedEasing,
+  KeyFrameAnimationLerp,
+  setAnimationPlayStates,
+  startTransition
+} from './Train.js';
 import * as THREE from 'three';
 import { getGlobalStyleCacheVersion } from './styleCache.js';
+import { applyUnit, evaluateMathExpression, isMathExpression, mathExpressionError } from './calc.js';
+import { getStyleRoot } from './sheets.js';
+import {
+  computeCustomProperties,
+  createStylePass,
+  getCSSRules,
+  resolveVarReferences
+} from './cascade.js';
 
-let selectorRuleCache = new Map();
-let selectorRuleCacheVersion = -1;
 let warnedLegacyNameClassFallback = false;
 let asyncAssignmentSerial = 0;
 const ASSET_REFERENCE_RE = /^@asset\s*\(\s*([^)]+?)\s*\)$/i;
-
-function ensureSelectorRuleCache() {
-  const version = getGlobalStyleCacheVersion();
-  if (selectorRuleCacheVersion !== version) {
-    selectorRuleCache.clear();
-    selectorRuleCacheVersion = version;
-  }
-}
+const DIMENSION_RE = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]+)?$/i;
+const HEX_COLOR_RE = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const COLOR_FUNCTION_RE = /^(?:rgba?|hsla?)\(/i;
+const LIVE_BINDING_RE = /^bind\(([\s\S]*)\)$/i;
+// compiled value / declaration programs, rebuilt per style-cache version
+const valueProgramCache = { version: -1, programs: new Map() };
+const declarationProgramCache = { version: -1, programs: new Map() };
+const PROGRAM_CACHE_LIMIT = 20000;
+// read by _apply_declarations itself rather than assigned to the object
+const NON_PAINTED_PROPS = new Set([
+  '--transition',
+  '--animation',
+  '--animation-play-state',
+  '--animation-timeline',
+  '--rotation-order',
+  '--drag-plane',
+  '--drag-axis'
+]);
+const EULER_ORDERS = new Set(['XYZ', 'YXZ', 'ZXY', 'ZYX', 'YZX', 'XZY']);
+// attributes that put an object on the picking layer; `interactive` is the
+// opt-in for objects whose handlers are added from JS or by a framework
+const INTERACTIVE_ATTRIBUTES = [
+  'interactive',
+  'onclick',
+  'onmouseover',
+  'onmouseout',
+  'onmouseenter',
+  'onmouseleave',
+  'onmousemove',
+  'onpointerover',
+  'onpointerout',
+  'onpointerenter',
+  'onpointerleave',
+  'onpointerdown',
+  'onpointermove',
+  'onpointerup',
+  'onpointercancel',
+  'draggable',
+  'ondragstart',
+  'ondrag',
+  'ondragend',
+  'ondragenter',
+  'ondragleave',
+  'ondrop',
+  'tabindex',
+  'onkeydown',
+  'onkeyup',
+  'onfocus',
+  'onblur',
+  'onfocusin',
+  'onfocusout',
+  'ondblclick',
+  'onmousedown',
+  'onmouseup',
+  'oncontextmenu'
+];
 
 function getObjectClassSelectors(object) {
   const aliasList = object?.classList;
@@ -48,18 +110,23 @@ function getObjectClassSelectors(object) {
   return [];
 }
 
-function hasClassPseudoRule(object, pseudo) {
-  return getObjectClassSelectors(object).some(cls => getCSSRule(`.${cls}${pseudo}`));
-}
-
-function animationConfigKey(animCfg) {
-  if (!animCfg) return null;
-  return [
-    animCfg.name || '',
-    animCfg.duration || 0,
-    animCfg.timing?.fun || 'linear',
-    animCfg.iteration?.count ?? 1
-  ].join('|');
+// identity of an --animation list; play state is left out so pausing
+// never restarts it
+function animationConfigKey(animations) {
+  if (!animations) return null;
+  return animations
+    .map(animation =>
+      [
+        animation.name,
+        animation.duration,
+        animation.delay,
+        animation.timing.fun,
+        animation.iteration.count,
+        animation.direction,
+        animation.fillMode
+      ].join('|')
+    )
+    .join(',');
 }
 
 function stopObjectAnimation(object) {
@@ -68,7 +135,6 @@ function stopObjectAnimation(object) {
     ctrl.abort();
   }
   object.userData._animationAbortController = null;
-  object.userData._animationRunning = false;
 }
 
 
@@ -113,136 +179,198 @@ function cloneMaterialLike(material) {
   return material.clone ? material.clone() : material;
 }
 
+/**
+ * Geometry from a geometry-like asset (geometry, mesh, GLTF scene); a
+ * material that comes with it is cloned onto `parent`.
+ *
+ * @returns {THREE.BufferGeometry|null}
+ */
+function unpackGeometryValue(parent, assetValue, rawProp) {
+  const payload = coerceAssetToGeometryPayload(assetValue, rawProp);
+  if (!payload) return null;
+  if (
+    payload.material &&
+    parent &&
+    (Object.prototype.hasOwnProperty.call(parent, 'material') || parent.isMesh)
+  ) {
+    parent.material = cloneMaterialLike(payload.material);
+  }
+  return payload.geometry;
+}
+
+const TIME_RE = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:ms|s)?$/i;
+const TIMING_KEYWORDS = new Set(['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end']);
+
+function parseTime(token) {
+  const ms = parseFloat(token);
+  return /[^m]s$/i.test(token) ? ms * 1000 : ms;
+}
+
+const ANIMATION_DIRECTIONS = new Set(['normal', 'reverse', 'alternate', 'alternate-reverse']);
+const ANIMATION_FILL_MODES = new Set(['none', 'forwards', 'backwards', 'both']);
+const ANIMATION_PLAY_STATES = new Set(['running', 'paused']);
+
+/**
+ * Parse the `--animation` shorthand into one entry per comma-separated
+ * animation: `bob 1.5s 200ms ease-in-out infinite alternate both, spin 4s`.
+ * Times are duration then delay; keywords may come in any order and the
+ * remaining identifier is the @keyframes name (case kept).
+ *
+ * @param {string} value
+ * @returns {Array<{name:string, duration:number, delay:number, timing:{fun:string},
+ *   iteration:{count:number|'infinite'}, direction:string, fillMode:string,
+ *   playState:string}>|null}
+ */
 function parseAnimationCSS(value) {
   if (!value) return null;
 
-  const lower = value.trim().toLowerCase();
-  if (!lower || lower === 'none') return null;
-
-  const parts = lower.split(/\s+/).filter(Boolean);
-  if (!parts.length) return null;
-
-  // First token = name (keep original case for the keyframe name)
-  const nameToken = parts.shift();
-  if (!nameToken) return null;
-
-  let durationMs = 1000;     // default 1s
-  let timingFun = 'linear';  // default timing
-  let iterationCount = 1;    // default once
-
-  // Duration
-  if (parts.length) {
-    const timeToken = parts[0];
-    if (/\d/.test(timeToken)) {
-      parts.shift();
-      if (timeToken.endsWith('ms')) {
-        durationMs = parseFloat(timeToken);
-      } else if (timeToken.endsWith('s')) {
-        durationMs = parseFloat(timeToken) * 1000;
-      } else {
-        durationMs = parseFloat(timeToken);
+  const text = value.trim();
+  if (!text || text.toLowerCase() === 'none') return null;
+
+  const animations = [];
+  for (const item of splitTopLevel(text, ',')) {
+    const tokens = item.trim().match(/[\w-]+\([^)]*\)|\S+/g) || [];
+    const animation = {
+      name: null,
+      duration: 1000,     // default 1s
+      delay: 0,
+      timing: { fun: 'linear' },
+      iteration: { count: 1 },
+      direction: 'normal',
+      fillMode: null,
+      playState: 'running'
+    };
+    const times = [];
+
+    for (const token of tokens) {
+      const lower = token.toLowerCase();
+      if (TIME_RE.test(token) && /[a-z]$/i.test(token)) {
+        times.push(parseTime(lower));
+      } else if (lower === 'infinite' || lower === 'infinity') {
+        animation.iteration.count = 'infinite';
+      } else if (/^(?:\d+\.?\d*|\.\d+)$/.test(token)) {
+        // a unitless number is the iteration count once a duration is
+        // given, and a duration in ms before that
+        if (times.length) animation.iteration.count = parseFloat(token);
+        else times.push(parseFloat(token));
+      } else if (TIMING_KEYWORDS.has(lower) || isNamedEasing(lower) || /^[\w-]+\(/.test(token)) {
+        animation.timing.fun = lower;
+      } else if (ANIMATION_DIRECTIONS.has(lower) && animation.direction === 'normal' && lower !== 'normal') {
+        animation.direction = lower;
+      } else if (ANIMATION_FILL_MODES.has(lower) && animation.fillMode === null) {
+        animation.fillMode = lower;
+      } else if (ANIMATION_PLAY_STATES.has(lower) && animation.playState === 'running' && lower !== 'running') {
+        animation.playState = lower;
+      } else if (!animation.name) {
+        animation.name = token;
       }
     }
-  }
-
-  // Look for "infinite"/"infinity" in the remaining tokens
-  const infIndex = parts.findIndex(t => t === 'infinite' || t === 'infinity');
-  if (infIndex !== -1) {
-    iterationCount = 'infinite';
-    parts.splice(infIndex, 1);
-  } else if (parts.length) {
-    const maybeCount = parseInt(parts[parts.length - 1], 10);
-    if (Number.isFinite(maybeCount) && maybeCount > 0) {
-      iterationCount = maybeCount;
-      parts.pop();
-    }
-  }
 
-  // Whatever is left becomes the timing function string
-  if (parts.length) {
-    timingFun = parts.join(' ');
+    const [duration, delay = 0] = times;
+    if (Number.isFinite(duration)) animation.duration = duration;
+    if (Number.isFinite(delay)) animation.delay = delay;
+    animation.fillMode = animation.fillMode || 'none';
+    if (animation.name && animation.name.toLowerCase() !== 'none') animations.push(animation);
   }
 
-  return {
-    name: nameToken,
-    duration: durationMs,
-    iteration: { count: iterationCount },
-    timing: { fun: timingFun }
-  };
+  return animations.length ? animations : null;
 }
 
+/**
+ * Parse `--animation-play-state: paused, running`.
+ *
+ * @param {string|undefined} value
+ * @returns {string[]|null}
+ */
+function parseAnimationPlayStates(value) {
+  if (!value) return null;
+  const states = value.split(',').map(state => state.trim().toLowerCase());
+  return states.every(state => ANIMATION_PLAY_STATES.has(state)) ? states : null;
+}
 
+/**
+ * Split `--animation-timeline: scroll(), view(block 10%), --slider` into
+ * entries matched to the animations by position.
+ *
+ * @param {string|undefined} value
+ * @returns {string[]|null}
+ */
+function parseAnimationTimelines(value) {
+  if (!value || !value.trim()) return null;
+  return splitTopLevel(value.trim(), ',').map(entry => entry.trim());
+}
 
+/**
+ * Parse `--transition` into per-property entries, CSS-style:
+ * `position 200ms ease, scale 1s 100ms linear`. Each entry is
+ * `[property] duration [delay] [timing]`; the property defaults to `all`
+ * and may be written with or without its leading `--`.
+ *
+ * @param {string} value
+ * @returns {Array<{property:string, duration:number, delay:number, timing:{fun:string}}>|null}
+ */
 function parseTransitionCSS(value) {
   if (!value) return null;
 
-  const lower = value.trim().toLowerCase();
-  if (!lower || lower === 'none') return null;
-
-  const parts = lower.split(/\s+/).filter(Boolean);
-  if (!parts.length) return null;
-
-  const timeToken = parts.shift();
-  let durationMs;
-
-  if (timeToken.endsWith('ms')) {
-    durationMs = parseFloat(timeToken);
-  } else if (timeToken.endsWith('s')) {
-    durationMs = parseFloat(timeToken) * 1000;
-  } else {
-    durationMs = parseFloat(timeToken);
-  }
+  const text = value.trim();
+  if (!text || text.toLowerCase() === 'none') return null;
+
+  const entries = [];
+  for (const item of splitTopLevel(text, ',')) {
+    const tokens = item.trim().match(/[\w-]+\([^)]*\)|\S+/g) || [];
+    let property = 'all';
+    const times = [];
+    let timingFun = 'linear';
+
+    for (const token of tokens) {
+      const lower = token.toLowerCase();
+      if (TIME_RE.test(token)) {
+        times.push(parseTime(lower));
+      } else if (TIMING_KEYWORDS.has(lower) || isNamedEasing(lower) || /^[\w-]+\(/.test(token)) {
+        timingFun = lower;
+      } else {
+        property = lower.replace(/^--/, '');
+      }
+    }
 
-  if (!Number.isFinite(durationMs) || durationMs <= 0) {
-    return null;
+    const [duration = 0, delay = 0] = times;
+    if (!Number.isFinite(duration) || !Number.isFinite(delay)) continue;
+    entries.push({ property, duration, delay, timing: { fun: timingFun } });
   }
 
-  const timingFun = parts.join(' ') || 'linear';
+  return entries.length ? entries : null;
+}
 
-  return {
-    duration: durationMs,
-    timing: { fun: timingFun }
-  };
+/**
+ * Transition entry covering `prop`; the last one listing it (or `all`, or a
+ * prefix such as `material` for `material-color`) wins, as in CSS.
+ *
+ * @param {Array|null} transitions from parseTransitionCSS()
+ * @param {string} prop property path without `--`, e.g. `material-color`
+ */
+function transitionFor(transitions, prop) {
+  if (!transitions) return null;
+  for (let i = transitions.length - 1; i >= 0; i--) {
+    const { property } = transitions[i];
+    if (property === 'all' || property === prop || prop.startsWith(`${property}-`)) {
+      return transitions[i];
+    }
+  }
+  return null;
 }
 
 
 /**
- * Find first CSS rule whose selector list contains `selector` token.
+ * Find first CSS rule whose selector list contains `selector` token, via
+ * the root's selector index. Legacy lookup kept for callers; painting
+ * resolves the full cascade.
  *
  * @param {string} selector
+ * @param {Document|ShadowRoot} [root=document]
  * @returns {CSSStyleRule|undefined}
  */
-export function getCSSRule(selector) {
-  ensureSelectorRuleCache();
-  if (selectorRuleCache.has(selector)) {
-    return selectorRuleCache.get(selector) || undefined;
-  }
-
-  let found = null;
-  for (const sheet of document.styleSheets) {
-    let rules;
-    try {
-      rules = sheet.cssRules;
-    } catch {
-      // cross-origin stylesheet
-      continue;
-    }
-    for (const rule of rules) {
-      if (!rule.selectorText) continue;
-      const selectors = rule.selectorText.split(',');
-      for (const sel of selectors) {
-        if (sel.trim().split(/\s+/).includes(selector)) {
-          found = rule;
-          break;
-        }
-      }
-      if (found) break;
-    }
-    if (found) break;
-  }
-
-  selectorRuleCache.set(selector, found);
-  return found || undefined;
+export function getCSSRule(selector, root = document) {
+  return getCSSRules(selector, root, false)[0];
 }
 
 /**
@@ -262,68 +390,271 @@ export function deep_searchParms(object, path) {
 }
 
 /**
- * Convert CSS value → Three.js friendly value.
+ * Read a `#id-path` reference (`#leader-position-x`) from another convict
+ * in the same cell as `__object`.
  *
- * - "(1,2,3)" → [1,2,3]
- * - "1.25"     → 1.25
- * - "#id-..."  → property copied from another convict in the same cell
+ * @param {string} ref
+ * @param {THREE.Object3D|null} __object
+ * @returns {any} undefined when the reference cannot be resolved
+ */
+function resolveConvictReference(ref, __object) {
+  if (!__object) {
+    console.error('CSSValueTo3JSValue: __object is null when resolving', ref);
+    return null;
+  }
+  try {
+    const cellElement = __object.userData.domEl.closest('cell');
+    const actualCellObject = Cell.getCell(cellElement);
+    const path = ref.split('-');
+    if (path.length < 1) {
+      throw new Error('Requesting empty paths using "#" is not allowed');
+    }
+    const targetObject = actualCellObject.getConvictById(path[0].slice(1));
+    if (!targetObject) {
+      throw new Error('Failed to find object with id ' + ref);
+    }
+    path.shift();
+    const { parent, key } = deep_searchParms(targetObject, path);
+    return parent[key];
+  } catch (err) {
+    console.error(err);
+    return undefined;
+  }
+}
+
+/**
+ * Parse a number with an optional unit (`1.5`, `90deg`, `0.5turn`, `50%`).
+ * Angles become radians, percentages fractions; other units are ignored.
  *
- * @param {string} value
- * @param {THREE.Object3D|null} [__object=null]
- * @returns {any}
+ * @param {string} text
+ * @returns {number} NaN when `text` is not a dimension
  */
-export function CSSValueTo3JSValue(value, __object = null) {
-  const normalizedValue = typeof value === 'string' ? value.trim() : value;
-  if (typeof normalizedValue !== 'string') return normalizedValue;
-  let parsed;
-
-  if (/^\(.+\)$/.test(normalizedValue)) {
-    parsed = normalizedValue.slice(1, -1).split(',').map(v => parseFloat(v.trim()));
-  } else if (!Number.isNaN(parseFloat(normalizedValue))) {
-    parsed = parseFloat(normalizedValue);
-  } else {
-    parsed = normalizedValue.replace(/^['"]|['"]$/g, '');
+function parseDimension(text) {
+  const match = DIMENSION_RE.exec(text.trim());
+  if (!match) return NaN;
+  return applyUnit(parseFloat(match[1]), match[2] || '');
+}
+
+/**
+ * Parse a CSS color (`#hex`, `rgb()`, `hsl()`, named) into a THREE.Color.
+ * `setStyle` converts from sRGB into the renderer's working color space.
+ *
+ * @param {string} text
+ * @returns {THREE.Color|null}
+ */
+function parseCSSColor(text) {
+  // THREE only reads #rgb / #rrggbb; drop the alpha digits of #rgba / #rrggbbaa
+  const hex = /^#([0-9a-f]{4}|[0-9a-f]{8})$/i.exec(text);
+  if (hex) text = text.slice(0, hex[1].length === 4 ? 4 : 7);
+  // ...and only the comma syntax of rgb()/hsl(), with a unitless hue
+  const fn = /^([a-z]+)\((.*)\)$/i.exec(text);
+  if (fn) {
+    const args = fn[2].includes(',')
+      ? fn[2].split(',')
+      : fn[2].replace('/', ' ').trim().split(/\s+/);
+    text = `${fn[1]}(${args.map(arg => arg.trim().replace(/deg$/i, '')).join(',')})`;
+  }
+  try {
+    return new THREE.Color().setStyle(text);
+  } catch {
+    return null;
   }
+}
 
-  if (typeof parsed === 'string') {
-    console.log(parsed);
-    const assetName = parsed;
-    if (getAsset(assetName)) {
-      return getAsset(assetName);
-    }
+// invalid math expressions already reported
+const warnedMathExpressions = new Set();
+
+/**
+ * Check a math expression's syntax when it is compiled, warning once per
+ * text; it may be evaluated on every paint or frame afterwards.
+ */
+function isValidMathExpression(text) {
+  const error = mathExpressionError(text);
+  if (!error) return true;
+  if (!warnedMathExpressions.has(text)) {
+    warnedMathExpressions.add(text);
+    console.warn(error.message);
+  }
+  return false;
+}
+
+/**
+ * Compile one tuple component: a number, or an evaluator taking a `#ref`
+ * resolver when it is math over other convicts.
+ */
+function compileTupleComponent(text) {
+  if (isMathExpression(text)) {
+    if (!isValidMathExpression(text)) return NaN;
+    if (!text.includes('#')) return evaluateMathExpression(text);
+    return resolveRef => evaluateMathExpression(text, resolveRef);
+  }
+  const dimension = parseDimension(text);
+  return Number.isNaN(dimension) ? parseFloat(text) : dimension;
+}
+
+function constantValueProgram(value, transitionable = true) {
+  return {
+    evaluate: () => (value?.isColor ? value.clone() : value),
+    assetName: null,
+    transitionable
+  };
+}
 
+function dynamicValueProgram(evaluate) {
+  return { evaluate, assetName: null, transitionable: true };
+}
 
-    switch (parsed[0]) {
-      case '#': {
-        if (!__object) {
-          console.error('CSSValueTo3JSValue: __object is null when resolving', parsed);
-          return null;
-        }
-        try {
-          const cellElement = __object.userData.domEl.closest('cell');
-          const actualCellObject = Cell.getCell(cellElement);
-          const path = parsed.split('-');
-          if (path.length < 1) {
-            throw new Error('Requesting empty paths using "#" is not allowed');
-          }
-          const targetObject = actualCellObject.getConvictById(path[0].slice(1));
-          if (!targetObject) {
-            throw new Error('Failed to find object with id ' + parsed);
-          }
-          path.shift();
-          const { parent, key } = deep_searchParms(targetObject, path);
-          return parent[key];
-        } catch (err) {
-          console.error(err);
-          return undefined;
-        }
+/**
+ * Compile a trimmed CSS value into a program whose `evaluate(object,
+ * target)` produces the Three.js value. Everything that does not depend on
+ * the object (numbers, colors, reference-free math) is parsed here, once.
+ *
+ * @param {string} text
+ * @returns {{evaluate:(object:THREE.Object3D|null, target:any)=>any,
+ *   assetName:string|null, transitionable:boolean}}
+ */
+function compileValue(text) {
+  if (text.includes('var(')) {
+    return dynamicValueProgram((object, target) => {
+      const customProps = object?.userData?._customProps;
+      const resolved = resolveVarReferences(text, name => customProps?.[name] ?? null);
+      return resolved == null ? undefined : CSSValueTo3JSValue(resolved, object, target);
+    });
+  }
+
+  const lower = text.toLowerCase();
+
+  if (/^\(.+\)$/.test(text)) {
+    const components = splitTopLevel(text.slice(1, -1), ',').map(compileTupleComponent);
+    return dynamicValueProgram((object, target) => {
+      const resolveRef = ref => resolveConvictReference(ref, object);
+      const parsed = components.map(c => (typeof c === 'function' ? c(resolveRef) : c));
+      // (r,g,b) tuples keep their working-space meaning on color targets
+      if (target?.isColor && parsed.length >= 3) {
+        return target.clone().setRGB(parsed[0], parsed[1], parsed[2]);
       }
-      default:
-        break;
+      return parsed;
+    });
+  }
+  if (isMathExpression(text)) {
+    if (!isValidMathExpression(text)) return constantValueProgram(undefined);
+    if (!text.includes('#')) {
+      const result = evaluateMathExpression(text);
+      return constantValueProgram(Number.isNaN(result) ? undefined : result);
     }
+    return dynamicValueProgram(object => {
+      const result = evaluateMathExpression(text, ref => resolveConvictReference(ref, object));
+      return Number.isNaN(result) ? undefined : result;
+    });
+  }
+  if (lower === 'true' || lower === 'false') {
+    return constantValueProgram(lower === 'true', false);
+  }
+  if (HEX_COLOR_RE.test(text) || COLOR_FUNCTION_RE.test(text)) {
+    return constantValueProgram(parseCSSColor(text) ?? undefined);
+  }
+
+  const dimension = parseDimension(text);
+  if (!Number.isNaN(dimension)) return constantValueProgram(dimension);
+  const number = parseFloat(text);
+  if (!Number.isNaN(number)) return constantValueProgram(number);
+
+  const word = text.replace(/^['"]|['"]$/g, '');
+  if (word[0] === '#') {
+    return dynamicValueProgram(object => resolveConvictReference(word, object));
+  }
+
+  // a bare word names an asset, or a color when the target is one
+  const namedColor = Object.prototype.hasOwnProperty.call(THREE.Color.NAMES, lower)
+    ? parseCSSColor(lower)
+    : null;
+  return {
+    evaluate(object, target) {
+      if (namedColor && target?.isColor) return namedColor.clone();
+      return getAsset(word) || word;
+    },
+    assetName: word,
+    transitionable: !!namedColor
+  };
+}
+
+function programCacheFor(cache) {
+  const version = getGlobalStyleCacheVersion();
+  if (cache.version !== version || cache.programs.size > PROGRAM_CACHE_LIMIT) {
+    cache.version = version;
+    cache.programs.clear();
+  }
+  return cache.programs;
+}
+
+function compiledValue(text) {
+  const programs = programCacheFor(valueProgramCache);
+  let program = programs.get(text);
+  if (!program) {
+    program = compileValue(text);
+    programs.set(text, program);
+  }
+  return program;
+}
+
+/**
+ * The compiled assignment for one declaration, built once per style-cache
+ * version and shared by every object and paint that sees the same
+ * property/value pair.
+ *
+ * @param {string} rawProp e.g. `--material-color`
+ * @param {string} value computed (var()-resolved) value
+ * @returns {{prop:string, path:string[], binding:Object|null, value:Object|null, config:Object|null}}
+ *   `binding` for bind(...), `config` for --transition / --animation,
+ *   otherwise `value` from compileValue()
+ */
+function compileDeclaration(rawProp, value) {
+  const programs = programCacheFor(declarationProgramCache);
+  const cacheKey = `${rawProp}:${value}`;
+  let program = programs.get(cacheKey);
+  if (program) return program;
+
+  const prop = rawProp.slice(2);
+  program = { prop, path: prop.split('-'), binding: null, value: null, config: null };
+  if (rawProp === '--transition') {
+    program.config = parseTransitionCSS(value);
+  } else if (rawProp === '--animation') {
+    program.config = parseAnimationCSS(value);
+  } else {
+    program.binding = parseLiveBinding(value);
+    if (!program.binding) program.value = compiledValue(value.trim());
   }
+  programs.set(cacheKey, program);
+  return program;
+}
 
-  return parsed;
+/**
+ * Convert CSS value → Three.js friendly value.
+ *
+ * - "(1,2,3)" → [1,2,3]
+ * - "1.25"     → 1.25
+ * - "90deg", "0.25turn" → radians; "50%" → 0.5
+ * - "true" / "false" → booleans
+ * - "#ff8800", "rgb(...)", "hsl(...)" → THREE.Color (named colors too when
+ *   the target is a color)
+ * - "#id-..."  → property copied from another convict in the same cell
+ * - "var(--x)" → substituted from the object's computed custom properties
+ * - "calc(#id-position-x + 2)", "(0, sin(45deg), 0)" → evaluated math (see calc.js)
+ *
+ * Values are compiled once per style-cache version (see compileValue); only
+ * references, var() and assets are looked up on each call.
+ *
+ * `bind(...)` values are not parsed here; the painter turns them into live
+ * bindings that the cell re-evaluates each frame.
+ *
+ * @param {string} value
+ * @param {THREE.Object3D|null} [__object=null]
+ * @param {any} [__target] current value at the destination, used as a type hint
+ * @returns {any} undefined when a var() reference cannot be resolved
+ */
+export function CSSValueTo3JSValue(value, __object = null, __target = undefined) {
+  if (typeof value !== 'string') return value;
+  return compiledValue(value.trim()).evaluate(__object, __target);
 }
 
 /**
@@ -338,8 +669,20 @@ export function exchange_rule(parent, key, value) {
   const target = parent[key];
 
   try {
+    // slerped rotations arrive as quaternions
+    if (value?.isQuaternion && (target?.isEuler || target?.isQuaternion)) {
+      if (target.isEuler) {
+        target.setFromQuaternion(value, target.order);
+      } else {
+        target.copy(value);
+      }
+      return;
+    }
+
     if (Array.isArray(value)) {
-      if (target && typeof target.set === 'function') {
+      if (target?.isQuaternion) {
+        target.set(...value).normalize();
+      } else if (target && typeof target.set === 'function') {
         target.set(...value);
       } else if (typeof target === 'function') {
         target(...value);
@@ -363,168 +706,316 @@ export function exchange_rule(parent, key, value) {
 }
 
 /**
- * Core rule application.
+ * Assign an already-resolved value the way painting does, unpacking
+ * geometry assets first. Used for values switched outside a paint, such as
+ * discrete keyframe values.
+ *
+ * @param {Object} parent
+ * @param {string} key
+ * @param {any} value
+ * @param {string} rawProp e.g. `--geometry`, for warnings
+ */
+export function exchange_resolved_rule(parent, key, value, rawProp) {
+  if (key === 'geometry') {
+    value = unpackGeometryValue(parent, value, rawProp);
+    if (!value) return;
+  }
+  exchange_rule(parent, key, value);
+}
+
+/**
+ * Parse `bind(<source>[, <offset>])`.
+ *
+ * @param {string} value
+ * @returns {{source:string, offset:string|null}|null}
+ */
+function parseLiveBinding(value) {
+  const match = LIVE_BINDING_RE.exec(value);
+  if (!match) return null;
+  const [source, offset = null] = splitTopLevel(match[1], ',');
+  return source ? { source, offset } : null;
+}
+
+/**
+ * Snapshot a bound value so it can be compared and offset.
+ */
+function toBindingValue(value) {
+  if (value?.isColor || value?.isQuaternion) return value.clone();
+  if (value && typeof value.toArray === 'function') {
+    return value.toArray().filter(v => typeof v === 'number');
+  }
+  return value;
+}
+
+function offsetBindingValue(value, offset) {
+  if (offset == null) return value;
+  if (typeof value === 'number' && typeof offset === 'number') return value + offset;
+  if (Array.isArray(value)) {
+    return value.map((v, i) => v + (Array.isArray(offset) ? offset[i] ?? 0 : offset));
+  }
+  return value;
+}
+
+function getOwningCell(object) {
+  const cellElement = object?.userData?.domEl?.closest('cell');
+  return cellElement ? Cell.getCell(cellElement) : null;
+}
+
+/**
+ * Register a live binding for `object.<prop>` with its cell and apply it
+ * once. The binding is torn down when the object or any convict its source
+ * references is removed.
+ *
+ * @returns {boolean} whether the binding was registered
+ */
+function bindLiveValue(object, prop, parent, key, { source, offset }) {
+  const cell = getOwningCell(object);
+  if (!cell) {
+    console.warn(`bind() on "--${prop}" needs an object inside a <cell>.`);
+    return false;
+  }
+
+  const refIds = (source.match(/#[A-Za-z_][\w-]*/g) || []).map(ref => ref.slice(1).split('-')[0]);
+  const sources = new Set();
+  const offsetValue = offset == null ? null : CSSValueTo3JSValue(offset, object);
+
+  let lastSignature;
+  const binding = {
+    sources,
+    update() {
+      // wait quietly until every referenced convict exists
+      for (const id of refIds) {
+        const convict = cell.getConvictById(id);
+        if (!convict) return;
+        sources.add(convict);
+      }
+      const next = offsetBindingValue(
+        toBindingValue(CSSValueTo3JSValue(source, object, parent[key])),
+        offsetValue
+      );
+      if (next === undefined || next === null) return;
+      const signature = JSON.stringify(next?.isColor || next?.isQuaternion ? next.toArray() : next);
+      if (signature === lastSignature) return;
+      lastSignature = signature;
+      exchange_rule(parent, key, next);
+    }
+  };
+
+  cell._setLiveBinding(object, prop, binding);
+  binding.update();
+  return true;
+}
+
+/**
+ * Computed custom properties for an object: rules matched against its DOM
+ * element (or a `{ id, classList }` descriptor when it has none), merged
+ * with its inline style, var()-resolved and inherited down the DOM tree.
  *
- * @param {CSSStyleRule|HTMLElement} rule
  * @param {THREE.Object3D} object
- * @param {string|null} [_chosenOne=null] selector that caused this rule
+ * @param {Object} pass from createStylePass()
  */
-function _apply_rule(rule, object, _chosenOne = null) {
-  if (!rule || !rule.style || !object) return;
+function computedStyleFor(object, pass) {
+  const domEl = object.userData?.domEl;
+  const ownStates = object.userData?.extraParams || [];
+
+  if (domEl) {
+    const getStates = el =>
+      el === domEl ? ownStates : el.convict?.userData?.extraParams || [];
+    return computeCustomProperties(domEl, getStates, pass);
+  }
 
-  const domEl = object.userData.domEl;
-  object.userData._lastCSS = object.userData._lastCSS || Object.create(null);
+  const detached = {
+    id: object.userData?.domId || '',
+    classList: getObjectClassSelectors(object)
+  };
+  return computeCustomProperties(detached, () => ownStates, pass);
+}
+
+/**
+ * Core declaration application.
+ *
+ * @param {Map<string,{value:string, selector:string|null}>} declarations
+ * @param {THREE.Object3D} object
+ */
+function _apply_declarations(declarations, object) {
   object.userData._pendingAsyncAssignments =
     object.userData._pendingAsyncAssignments || Object.create(null);
-  let sawAnimationDeclaration = false;
-
-  // enable picking layer when interactive / pseudo-rules exist
-  if (
-    domEl?.hasAttribute('onclick') ||
-    domEl?.hasAttribute('onmouseover') ||
-    domEl?.hasAttribute('ondblclick') ||
-    domEl?.hasAttribute('onmousedown') ||
-    domEl?.hasAttribute('onmouseup') ||
-    domEl?.hasAttribute('oncontextmenu') ||
-    hasClassPseudoRule(object, ':hover') ||
-    hasClassPseudoRule(object, ':focus') ||
-    (object.userData.domId && getCSSRule(`#${object.userData.domId}:focus`)) ||
-    (object.userData.domId && getCSSRule(`#${object.userData.domId}:hover`))
-  ) {
-    object.layers.enable(3);
-  } else {
-    object.layers.disable(3);
-  }
 
-  for (let i = 0; i < rule.style.length; i++) {
-  const rawProp = rule.style[i];
-  const value = rule.style.getPropertyValue(rawProp).trim();
+  const configOf = rawProp => {
+    const decl = declarations.get(rawProp);
+    return decl ? compileDeclaration(rawProp, decl.value).config : null;
+  };
 
-  if (!rawProp.startsWith('--')) continue;
+  // CSS-driven transition config; resolved first so it covers this paint
+  object.transition = configOf('--transition');
 
-  // CSS-driven transition config
-  if (rawProp === '--transition') {
-    const cfg = parseTransitionCSS(value);
-    object.transition = cfg;       // may be null if "none"
-    continue;
+  // CSS-driven animation list; a changed list (or timeline list) restarts
+  // every animation, as replacing the animation-name list does in CSS
+  const animations = configOf('--animation');
+  const timelines = animations ? parseAnimationTimelines(declarations.get('--animation-timeline')?.value) : null;
+  let nextAnimKey = animationConfigKey(animations);
+  if (timelines) nextAnimKey += `@${timelines.join(',')}`;
+  if (object.userData._animationConfigKey !== nextAnimKey) {
+    stopObjectAnimation(object);
+    object.userData._animationConfigKey = nextAnimKey;
+    // compiled configs are shared between objects; timelines are per object
+    object.animation = timelines
+      ? animations.map((animation, i) => ({ ...animation, timeline: timelines[i % timelines.length] }))
+      : animations;
+    if (animations) {
+      const controller = new AbortController();
+      object.userData._animationAbortController = controller;
+      object.animation.forEach(animation =>
+        KeyFrameAnimationLerp(object, animation, controller.signal).catch(console.error)
+      );
+    }
+  }
+  if (animations) {
+    const playStates =
+      parseAnimationPlayStates(declarations.get('--animation-play-state')?.value) ||
+      animations.map(animation => animation.playState);
+    setAnimationPlayStates(object, object.animation, playStates);
   }
 
-  // CSS-driven animation config
-  if (rawProp === '--animation') {
-    sawAnimationDeclaration = true;
-    const animCfg = parseAnimationCSS(value);
-    const nextAnimKey = animationConfigKey(animCfg);
-    if (object.userData._animationConfigKey !== nextAnimKey) {
-      stopObjectAnimation(object);
-      object.userData._animationConfigKey = nextAnimKey;
+  // Euler order must be in place before any rotation is interpreted
+  const rotationOrder = declarations.get('--rotation-order')?.value.toUpperCase();
+  if (rotationOrder && object.rotation?.isEuler) {
+    if (EULER_ORDERS.has(rotationOrder)) {
+      object.rotation.order = rotationOrder;
+    } else {
+      console.warn(`Invalid --rotation-order "${rotationOrder}".`);
     }
-    object.animation = animCfg;    // may be null if "none"
-    continue;
   }
 
+  const previousBindings = object.userData._liveBindingProps || new Set();
+  const liveBindingProps = new Set();
+  // a dragged object follows the pointer; its position is written on drop
+  const dragging = object.userData.extraParams?.includes(':dragging');
+
+  for (const [rawProp, decl] of declarations) {
+  if (NON_PAINTED_PROPS.has(rawProp)) continue;
+  const _chosenOne = decl.selector;
+
   // Normal custom property flow (position, rotation, etc.)
-  const prop = rawProp.slice(2);
-  const path = prop.split('-');
-  const parsed = CSSValueTo3JSValue(value, object);
+  const program = compileDeclaration(rawProp, decl.value);
+  const { prop, path } = program;
+  if (dragging && path[0] === 'position') continue;
+  // Inherited values (theme tokens etc.) only land on properties the object has
+  if (decl.inherited && !(path[0] in object)) continue;
   const { parent, key } = deep_searchParms(object, path);
-  const referencedAssetName = value;
   const assignmentToken = ++asyncAssignmentSerial;
   object.userData._pendingAsyncAssignments[prop] = assignmentToken;
 
+  // bind(...) values are re-evaluated by the cell every frame
+  if (program.binding) {
+    if (bindLiveValue(object, prop, parent, key, program.binding)) {
+      liveBindingProps.add(prop);
+    }
+    continue;
+  }
+
+  const parsed = program.value.evaluate(object, parent[key]);
+
   const assignValue = (resolvedValue) => {
     if (object.userData._pendingAsyncAssignments[prop] !== assignmentToken) {
       return;
     }
-    if (resolvedValue === undefined) return;
-    if (referencedAssetName && resolvedValue == null) return;
+    if (resolvedValue == null) return;
 
     let finalValue = resolvedValue;
-    if (referencedAssetName && key === 'geometry') {
-      const payload = coerceAssetToGeometryPayload(resolvedValue, rawProp);
-      if (!payload) return;
-      finalValue = payload.geometry;
-
-      if (
-        payload.material &&
-        parent &&
-        (Object.prototype.hasOwnProperty.call(parent, 'material') || parent.isMesh)
-      ) {
-        parent.material = cloneMaterialLike(payload.material);
-      }
+    if (key === 'geometry') {
+      finalValue = unpackGeometryValue(parent, resolvedValue, rawProp);
+      if (!finalValue) return;
+    }
+
+    // keyframe animations own the live value; the cascade's value waits
+    // underneath until they let go
+    if (assignBeneathAnimations(object, prop, () => exchange_rule(parent, key, finalValue))) {
+      cancelTransitions(object, prop);
+      return;
     }
 
-    const transition = object.transition;
+    const transition = transitionFor(object.transition, prop);
     const currentRaw = parent[key];
-    const currentValue =
-      currentRaw && typeof currentRaw.toArray === 'function'
+    const currentValue = currentRaw?.isColor
+      ? currentRaw.clone()
+      : currentRaw && typeof currentRaw.toArray === 'function'
         ? currentRaw.toArray()
         : currentRaw;
 
-    const duration = transition?.duration ?? 0;
-    const timingFn = transition?.timing?.fun ?? 'linear';
-    const isAnimatable =
-      transition &&
-      duration > 0 &&
-      (typeof currentValue === 'number' || Array.isArray(currentValue)) &&
-      (typeof finalValue === 'number' || Array.isArray(finalValue));
-
-    if (isAnimatable) {
-      animateLerp(
-        currentValue,
-        finalValue,
-        duration,
-        v => exchange_rule(parent, key, v),
-        () => {
-          object.dispatchEvent({
-            type: 'TransitionFinished',
-            target: object,
-            detail: { selector: _chosenOne, to: parent }
-          });
-        },
-        timingFn
-      );
-    } else {
+    const isLerpable = v =>
+      typeof v === 'number' || Array.isArray(v) || !!v?.isColor || !!v?.isQuaternion;
+    const transitioning =
+      program.value.transitionable &&
+      !!transition &&
+      isLerpable(currentValue) &&
+      isLerpable(finalValue) &&
+      startTransition(object, prop, {
+        from: currentValue,
+        to: finalValue,
+        target: currentRaw,
+        config: transition,
+        apply: v => exchange_rule(parent, key, v),
+        detail: { selector: _chosenOne, to: parent }
+      });
+
+    if (!transitioning) {
+      // the value is no longer transitioned: settle any running transition
+      cancelTransitions(object, prop);
       exchange_rule(parent, key, finalValue);
     }
   };
 
   if (parsed && typeof parsed.then === 'function') {
     parsed.then(assignValue).catch(err =>
-      console.error('Failed to resolve asset for', rawProp, err)
+      console.error(`Failed to resolve asset "${program.value.assetName}" for`, rawProp, err)
     );
   } else {
     assignValue(parsed);
   }
 }
-  
 
+  for (const prop of previousBindings) {
+    if (!liveBindingProps.has(prop)) {
+      getOwningCell(object)?._clearLiveBinding(object, prop);
+    }
+  }
+  object.userData._liveBindingProps = liveBindingProps;
+}
 
- if (sawAnimationDeclaration && !object.animation) {
-    stopObjectAnimation(object);
- }
+/**
+ * Resolve the cascade for one object and apply it.
+ *
+ * @param {THREE.Object3D} object
+ */
+function _paint_object(object, pass = createStylePass()) {
+  if (!object?.userData) return;
 
- if (object.animation) {
-    // Don't restart the animation every repaint
-    if (!object.userData._animationRunning) {
-      const controller = new AbortController();
-      object.userData._animationRunning = true;
-      object.userData._animationAbortController = controller;
+  const domEl = object.userData.domEl;
+  const { declarations, values, interactive } = computedStyleFor(object, pass);
+  object.userData._customProps = values;
 
-      (async () => {
-        try {
-          await KeyFrameAnimationLerp(object, object.animation, controller.signal);
-        } catch (err) {
-          if (!controller.signal.aborted) {
-            console.error(err);
-          }
-        } finally {
-          if (object.userData._animationAbortController === controller) {
-            object.userData._animationAbortController = null;
-            object.userData._animationRunning = false;
-          }
-        }
-      })();
-    }
+  // enable picking layer when interactive / pseudo-rules exist
+  if (interactive || INTERACTIVE_ATTRIBUTES.some(attr => domEl?.hasAttribute(attr))) {
+    object.layers.enable(3);
+  } else {
+    object.layers.disable(3);
+  }
+
+  _apply_declarations(declarations, object);
+}
+
+/**
+ * Call `fn` for every convict nested below `muse` in the DOM.
+ *
+ * @param {THREE.Object3D} muse
+ * @param {(convict:THREE.Object3D)=>void} fn
+ */
+function forEachDescendantConvict(muse, fn) {
+  const domEl = muse.userData?.domEl;
+  if (!domEl || typeof domEl.getElementsByTagName !== 'function') return;
+  for (const el of domEl.getElementsByTagName('*')) {
+    if (el.convict) fn(el.convict);
   }
 }
 
@@ -535,108 +1026,81 @@ function _apply_rule(rule, object, _chosenOne = null) {
  * @param {Cell} cell
  */
 export function paintConvict(convictElm, cell) {
-  gatherAssetRules();
   const convict = cell._allConvictsByDom.get(convictElm);
   if (convict) {
-    _apply_rule(convictElm, convict);
+    paintSpecificMuse(convict);
   }
 }
 
 /**
- * Paint :hover / :focus / :active selectors for all convicts in a cell.
+ * Repaint convicts that carry a pseudo-state (:hover, :focus, ...).
  *
  * @param {Cell} muse
  */
 export function paintExtraCell(muse) {
-  for (const obj of muse.classyConvicts) {
-    const classes = getObjectClassSelectors(obj);
-    (obj.userData.extraParams || []).forEach(param => {
-      classes.forEach(cls => {
-        const rule = getCSSRule(`.${cls}${param}`);
-        if (rule) _apply_rule(rule, obj);
-      });
-    });
-  }
-
-  for (const obj of muse.namedConvicts) {
-    if (!obj.userData.domId) continue;
-    (obj.userData.extraParams || []).forEach(param => {
-      const rule = getCSSRule(`#${obj.userData.domId}${param}`);
-      if (rule) _apply_rule(rule, obj);
-    });
+  const pass = createStylePass(muse.styleRoot);
+  for (const obj of muse._allConvicts) {
+    if (obj.userData.extraParams?.length) _paint_object(obj, pass);
   }
 }
 
 /**
- * Paint base class/id rules for an entire cell.
+ * Paint the full cascade for every convict in a cell.
  *
  * @param {Cell} muse
  */
 export function paintCell(muse) {
-  gatherAssetRules();
-  for (const obj of muse.classyConvicts) {
-    for (const cls of getObjectClassSelectors(obj)) {
-      const rule = getCSSRule(`.${cls}`);
-      if (rule) _apply_rule(rule, obj, `.${cls}`);
-    }
-  }
-  for (const obj of muse.namedConvicts) {
-    if (!obj.userData.domId) continue;
-    const rule = getCSSRule(`#${obj.userData.domId}`);
-    if (rule) _apply_rule(rule, obj, `#${obj.userData.domId}`);
+  gatherAssetRules(muse.styleRoot);
+  const pass = createStylePass(muse.styleRoot);
+  for (const obj of muse._allConvicts) {
+    _paint_object(obj, pass);
   }
 }
 
 /**
- * Paint a single object: base rules, pseudo-rules, inline style.
+ * Paint a single object and the convicts nested below it, since
+ * descendant selectors (`.rig:hover .wheel`) and inherited custom
+ * properties depend on it.
  *
  * @param {THREE.Object3D} muse
  */
 export function paintSpecificMuse(muse) {
-  gatherAssetRules();
-  const extra = muse.userData.extraParams || [];
-
-  getObjectClassSelectors(muse).forEach(cls => {
-    const rule = getCSSRule(`.${cls}`);
-    if (rule) _apply_rule(rule, muse);
-  });
-
-  if (muse.userData.domId) {
-    const baseIdRule = getCSSRule(`#${muse.userData.domId}`);
-    if (baseIdRule) _apply_rule(baseIdRule, muse);
-  }
-
-  extra.forEach(param => {
-    getObjectClassSelectors(muse).forEach(cls => {
-      const clsRule = getCSSRule(`.${cls}${param}`);
-      if (clsRule) _apply_rule(clsRule, muse);
-    });
-  });
-
-  if (muse.userData.domId) {
-    extra.forEach(param => {
-      const idRule = getCSSRule(`#${muse.userData.domId}${param}`);
-      if (idRule) _apply_rule(idRule, muse);
-    });
-  }
+  const root = getStyleRoot(muse.userData?.domEl);
+  gatherAssetRules(root);
+  const pass = createStylePass(root);
+  _paint_object(muse, pass);
+  forEachDescendantConvict(muse, convict => _paint_object(convict, pass));
+}
 
-  if (muse.userData.domEl?.hasAttribute('style')) {
-    _apply_rule(muse.userData.domEl, muse);
+/**
+ * Paint a batch of objects and the convicts nested below them in one style
+ * pass, each object once however many of its ancestors were queued.
+ *
+ * @param {Iterable<THREE.Object3D>} muses
+ * @param {Document|ShadowRoot} [root=document]
+ * @returns {number} objects painted
+ */
+export function paintConvicts(muses, root = document) {
+  gatherAssetRules(root);
+  const pass = createStylePass(root);
+  const painted = new Set();
+  const paint = object => {
+    if (painted.has(object)) return;
+    painted.add(object);
+    _paint_object(object, pass);
+  };
+  for (const muse of muses) {
+    paint(muse);
+    forEachDescendantConvict(muse, paint);
   }
+  return painted.size;
 }
 
 /**
- * Apply constant :active rules each frame for flagged convicts.
+ * Re-apply the cascade (including :active rules) for a flagged convict.
  *
  * @param {THREE.Object3D} muse
  */
 export function paintConstantMuse(muse) {
-  getObjectClassSelectors(muse).forEach(cls => {
-    const rule = getCSSRule(`.${cls}:active`);
-    if (rule) _apply_rule(rule, muse);
-  });
-  if (muse.userData.domId) {
-    const rule = getCSSRule(`#${muse.userData.domId}:active`);
-    if (rule) _apply_rule(rule, muse);
-  }
+  _paint_object(muse);
 }
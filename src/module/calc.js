@@ -0,0 +1,230 @@
+// calc.js
+//
+// CSS math expressions for custom property values.
+// - calc(), min(), max(), clamp()
+// - Trigonometry and friends (sin, cos, atan2, pow, sqrt, hypot, round, mod, ...)
+// - Angle units (deg, grad, turn, rad) resolve to radians
+// - `#id-path` references to other convicts, resolved through a callback
+
+const MATH_FUNCTION_RE =
+  /^(calc|min|max|clamp|sin|cos|tan|asin|acos|atan|atan2|pow|sqrt|hypot|log|exp|abs|sign|round|mod|rem)\(/i;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  infinity: Infinity,
+  nan: NaN
+};
+
+const ANGLE_UNITS = {
+  deg: Math.PI / 180,
+  grad: Math.PI / 200,
+  turn: Math.PI * 2,
+  rad: 1
+};
+
+const ROUNDING = {
+  nearest: Math.round,
+  up: Math.ceil,
+  down: Math.floor,
+  'to-zero': Math.trunc
+};
+
+const FUNCTIONS = {
+  calc: a => a,
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  clamp: (lo, v, hi) => Math.max(lo, Math.min(v, hi)),
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  atan2: Math.atan2,
+  pow: Math.pow,
+  sqrt: Math.sqrt,
+  hypot: (...args) => Math.hypot(...args),
+  log: (v, base) => (base === undefined ? Math.log(v) : Math.log(v) / Math.log(base)),
+  exp: Math.exp,
+  abs: Math.abs,
+  sign: Math.sign,
+  mod: (a, b) => a - b * Math.floor(a / b),
+  rem: (a, b) => a % b
+};
+
+/**
+ * Does `text` start with a CSS math function (`calc(`, `sin(`, ...)?
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isMathExpression(text) {
+  return typeof text === 'string' && MATH_FUNCTION_RE.test(text.trim());
+}
+
+/**
+ * Convert a single dimension token (`45deg`, `50%`, `1.5`) to a number.
+ * Angles become radians, percentages fractions; other units are dropped.
+ *
+ * @param {number} value
+ * @param {string} unit
+ * @returns {number}
+ */
+export function applyUnit(value, unit) {
+  const lower = unit.toLowerCase();
+  if (lower === '%') return value / 100;
+  if (lower in ANGLE_UNITS) return value * ANGLE_UNITS[lower];
+  return value;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s*(?:(#[A-Za-z0-9_-]+)|((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[A-Za-z]+)?|([A-Za-z][A-Za-z0-9-]*)|([-+*/(),]))/gy;
+  let match;
+  while (re.lastIndex < text.length) {
+    match = re.exec(text);
+    if (!match) {
+      if (/^\s*$/.test(text.slice(re.lastIndex))) break;
+      throw new SyntaxError(`Unexpected input in math expression: "${text}"`);
+    }
+    if (match[1]) tokens.push({ type: 'ref', value: match[1] });
+    else if (match[2]) tokens.push({ type: 'num', value: applyUnit(parseFloat(match[2]), match[3] || '') });
+    else if (match[4]) tokens.push({ type: 'ident', value: match[4].toLowerCase() });
+    else if (match[5]) tokens.push({ type: 'op', value: match[5] });
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate a CSS math expression to a number. Invalid expressions are not
+ * reported here, as they may be evaluated every frame; check them once
+ * with mathExpressionError().
+ *
+ * @param {string} text e.g. `calc(#leader-position-x + 2)` or `sin(45deg)`
+ * @param {(ref:string)=>any} [resolveRef] resolves `#id-path` references
+ * @returns {number} NaN when the expression is invalid
+ */
+export function evaluateMathExpression(text, resolveRef = () => NaN) {
+  try {
+    return parseMathExpression(text, resolveRef);
+  } catch {
+    return NaN;
+  }
+}
+
+/**
+ * Why `text` is not a valid math expression, or null when it is. Only the
+ * syntax is checked; `#ref`s are not resolved.
+ *
+ * @param {string} text
+ * @returns {SyntaxError|null}
+ */
+export function mathExpressionError(text) {
+  try {
+    parseMathExpression(text, () => 0);
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+// throws a SyntaxError for invalid expressions
+function parseMathExpression(text, resolveRef) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const expectOp = op => {
+    const tok = tokens[pos++];
+    if (!tok || tok.type !== 'op' || tok.value !== op) {
+      throw new SyntaxError(`Expected "${op}" in math expression: "${text}"`);
+    }
+  };
+
+  const parseArgs = () => {
+    const args = [];
+    if (peek()?.value === ')') {
+      pos++;
+      return args;
+    }
+    for (;;) {
+      const tok = peek();
+      // round(<strategy>, ...) takes a bare keyword
+      if (tok?.type === 'ident' && tok.value in ROUNDING && tokens[pos + 1]?.value === ',') {
+        args.push(tok.value);
+        pos++;
+      } else {
+        args.push(parseSum());
+      }
+      const sep = tokens[pos++];
+      if (sep?.value === ')') return args;
+      if (sep?.value !== ',') throw new SyntaxError(`Unterminated function in "${text}"`);
+    }
+  };
+
+  const parsePrimary = () => {
+    const tok = tokens[pos++];
+    if (!tok) throw new SyntaxError(`Unexpected end of math expression: "${text}"`);
+
+    if (tok.type === 'num') return tok.value;
+    if (tok.type === 'ref') return Number(resolveRef(tok.value));
+    if (tok.type === 'op' && tok.value === '(') {
+      const value = parseSum();
+      expectOp(')');
+      return value;
+    }
+    if (tok.type === 'ident') {
+      if (peek()?.value === '(') {
+        pos++;
+        const args = parseArgs();
+        if (tok.value === 'round') {
+          const strategy = typeof args[0] === 'string' ? ROUNDING[args.shift()] : Math.round;
+          const [value, step = 1] = args;
+          return strategy(value / step) * step;
+        }
+        const fn = FUNCTIONS[tok.value];
+        if (!fn) throw new SyntaxError(`Unknown math function "${tok.value}()"`);
+        return fn(...args);
+      }
+      if (tok.value in CONSTANTS) return CONSTANTS[tok.value];
+    }
+    throw new SyntaxError(`Unexpected token "${tok.value}" in math expression: "${text}"`);
+  };
+
+  const parseUnary = () => {
+    const tok = peek();
+    if (tok?.type === 'op' && (tok.value === '-' || tok.value === '+')) {
+      pos++;
+      const value = parseUnary();
+      return tok.value === '-' ? -value : value;
+    }
+    return parsePrimary();
+  };
+
+  const parseProduct = () => {
+    let value = parseUnary();
+    while (peek()?.value === '*' || peek()?.value === '/') {
+      const op = tokens[pos++].value;
+      const rhs = parseUnary();
+      value = op === '*' ? value * rhs : value / rhs;
+    }
+    return value;
+  };
+
+  function parseSum() {
+    let value = parseProduct();
+    while (peek()?.value === '+' || peek()?.value === '-') {
+      const op = tokens[pos++].value;
+      const rhs = parseProduct();
+      value = op === '+' ? value + rhs : value - rhs;
+    }
+    return value;
+  }
+
+  const value = parseSum();
+  if (pos !== tokens.length) {
+    throw new SyntaxError(`Unexpected trailing input in math expression: "${text}"`);
+  }
+  return value;
+}
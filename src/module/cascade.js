@@ -0,0 +1,1004 @@
+// cascade.js
+//
+// CSS selector engine + cascade used by the painter.
+// - Selector list parsing (compounds, combinators, convict pseudo-states)
+// - Specificity
+// - Right-to-left matching against convict DOM elements
+// - @scope / `<style scoped>` roots, limits and proximity
+// - Declaration merging by importance, layer, specificity and source order
+// - Computed custom properties: var() substitution and inheritance
+
+import { getGlobalStyleCacheVersion, getStyleCacheVersion, getStyleSheetCacheVersion } from './styleCache.js';
+import { splitTopLevel } from './utils.js';
+import {
+  evaluateContainerCondition,
+  getCellStyleSheets,
+  getRootStyleSheets,
+  getStyleRoot,
+  walkStyleSheets
+} from './sheets.js';
+
+/**
+ * Pseudo-classes whose state lives on the convict (`userData.extraParams`)
+ * instead of on its hidden DOM element.
+ */
+export const CONVICT_STATE_PSEUDOS = new Set([':hover', ':focus', ':focus-visible', ':active', ':dragging']);
+
+// Custom properties that map onto per-object state and, like `transform` or
+// `animation` in regular CSS, are not inherited by child convicts.
+const NON_INHERITED_PATHS = new Set([
+  'position',
+  'rotation',
+  'quaternion',
+  'scale',
+  'up',
+  'geometry',
+  'transition',
+  'animation'
+]);
+
+const parsedSelectorCache = new Map();
+let parsedSelectorCacheVersion = -1;
+// Document / ShadowRoot -> { version, entries, index, tokens, usesContainers, registeredProperties, layerOrder }
+const rootRuleStates = new WeakMap();
+// <cell> element -> the same shape, for its `<style scoped>` sheets
+const cellRuleStates = new WeakMap();
+// CSSStyleSheet -> { version, entries, layerPaths, usesContainers, registeredProperties }
+const sheetRuleStates = new WeakMap();
+const UNSCOPED = [[null, Infinity]];
+const SCOPE_PSEUDO_RE = /^(?::where\(\s*:scope\s*\)|:scope(?![\w-]))/i;
+
+/* ───────────────── PARSING ───────────────── */
+
+/**
+ * Pull convict pseudo-states (`:hover`, ...) and `:scope` out of a compound
+ * selector. Only top-level occurrences are removed; anything inside
+ * `:not(...)` etc. is left for the browser to evaluate.
+ *
+ * @param {string} text
+ * @returns {{base:string, states:string[], scope:boolean}}
+ */
+function extractStatePseudos(text) {
+  const states = [];
+  let base = '';
+  let depth = 0;
+  let scope = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (depth === 0 && ch === ':') {
+      const scopeMatch = SCOPE_PSEUDO_RE.exec(text.slice(i));
+      if (scopeMatch) {
+        scope = true;
+        i += scopeMatch[0].length - 1;
+        continue;
+      }
+    }
+    if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+
+    if (depth === 0 && ch === ':' && text[i + 1] !== ':' && text[i - 1] !== ':') {
+      const match = /^:[A-Za-z-]+/.exec(text.slice(i));
+      const name = match ? match[0].toLowerCase() : '';
+      if (name && text[i + name.length] !== '(' && CONVICT_STATE_PSEUDOS.has(name)) {
+        states.push(name);
+        i += name.length - 1;
+        continue;
+      }
+    }
+    base += ch;
+  }
+  return { base: base || '*', states, scope };
+}
+
+/**
+ * Split a complex selector into compounds, each tagged with the combinator
+ * that links it to the compound on its left.
+ *
+ * @param {string} text
+ * @returns {Array<{base:string, states:string[], scope:boolean, combinator:string|null}>}
+ */
+function splitCompounds(text) {
+  const compounds = [];
+  let buf = '';
+  let combinator = null;
+  let depth = 0;
+  let quote = null;
+
+  const flush = () => {
+    if (!buf) return;
+    compounds.push({ ...extractStatePseudos(buf), combinator: compounds.length ? combinator || ' ' : null });
+    buf = '';
+    combinator = null;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      buf += ch;
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '\\') {
+      buf += ch + (text[++i] ?? '');
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (depth === 0 && (/\s/.test(ch) || ch === '>' || ch === '+' || ch === '~')) {
+      flush();
+      if (ch === '>' || ch === '+' || ch === '~') combinator = ch;
+      continue;
+    }
+    buf += ch;
+  }
+  flush();
+  return compounds;
+}
+
+/**
+ * Compute [ids, classes, types] specificity for a selector.
+ *
+ * @param {string} text complex selector
+ * @returns {number[]}
+ */
+export function calculateSpecificity(text) {
+  const spec = [0, 0, 0];
+  const add = other => {
+    spec[0] += other[0];
+    spec[1] += other[1];
+    spec[2] += other[2];
+  };
+  let i = 0;
+  let atCompoundStart = true;
+
+  const readIdent = () => {
+    const match = /^-?[A-Za-z0-9_\\-]+/.exec(text.slice(i));
+    const ident = match ? match[0] : '';
+    i += ident.length;
+    return ident;
+  };
+  const readParens = () => {
+    if (text[i] !== '(') return '';
+    let depth = 0;
+    const start = i;
+    for (; i < text.length; i++) {
+      if (text[i] === '(') depth++;
+      else if (text[i] === ')' && --depth === 0) {
+        i++;
+        break;
+      }
+    }
+    return text.slice(start + 1, i - 1);
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch) || ch === '>' || ch === '+' || ch === '~') {
+      atCompoundStart = true;
+      i++;
+      continue;
+    }
+    if (ch === '#') {
+      i++;
+      readIdent();
+      spec[0]++;
+    } else if (ch === '.') {
+      i++;
+      readIdent();
+      spec[1]++;
+    } else if (ch === '[') {
+      const end = text.indexOf(']', i);
+      i = end === -1 ? text.length : end + 1;
+      spec[1]++;
+    } else if (ch === ':' && text[i + 1] === ':') {
+      i += 2;
+      readIdent();
+      readParens();
+      spec[2]++;
+    } else if (ch === ':') {
+      i++;
+      const name = readIdent().toLowerCase();
+      const args = readParens();
+      if (name === 'where') {
+        // zero specificity
+      } else if (name === 'is' || name === 'not' || name === 'has' || name === 'matches') {
+        let best = [0, 0, 0];
+        for (const sel of splitTopLevel(args, ',')) {
+          const s = calculateSpecificity(sel);
+          if (compareSpecificity(s, best) > 0) best = s;
+        }
+        add(best);
+      } else {
+        spec[1]++;
+      }
+    } else if (ch === '*') {
+      i++;
+    } else if (atCompoundStart) {
+      readIdent() ? spec[2]++ : i++;
+    } else {
+      i++;
+    }
+    atCompoundStart = false;
+  }
+  return spec;
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} <0, 0 or >0
+ */
+export function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/**
+ * Parse (and cache) a selector list.
+ *
+ * @param {string} selectorText
+ * @returns {Array<{text:string, compounds:Array, specificity:number[], hasStates:boolean}>}
+ */
+export function parseSelectorList(selectorText) {
+  if (parsedSelectorCache.has(selectorText)) {
+    return parsedSelectorCache.get(selectorText);
+  }
+  const parsed = splitTopLevel(selectorText, ',').map(text => {
+    const compounds = splitCompounds(text);
+    return {
+      text,
+      compounds,
+      specificity: calculateSpecificity(text),
+      hasStates: compounds.some(c => c.states.length > 0)
+    };
+  });
+  parsedSelectorCache.set(selectorText, parsed);
+  return parsed;
+}
+
+/* ───────────────── MATCHING ───────────────── */
+
+function isDomElement(subject) {
+  return !!subject && typeof subject.matches === 'function';
+}
+
+/**
+ * Detached objects (no DOM element) only match simple `.class` / `#id`
+ * compounds against their `{ id, classList }` descriptor.
+ */
+function matchDetachedCompound(base, subject) {
+  if (base === '*') return true;
+  if (!/^(?:[.#][A-Za-z0-9_-]+)+$/.test(base)) return false;
+  const tokens = base.match(/[.#][A-Za-z0-9_-]+/g) || [];
+  return tokens.every(token =>
+    token[0] === '#'
+      ? subject.id === token.slice(1)
+      : (subject.classList || []).includes(token.slice(1))
+  );
+}
+
+function matchCompound(compound, subject, getStates, ignoreStates, scopeRoot) {
+  if (compound.scope) {
+    // outside @scope, :scope is the document element
+    if (!isDomElement(subject)) return false;
+    if (subject !== (scopeRoot || subject.ownerDocument?.documentElement)) return false;
+  }
+  if (!ignoreStates && compound.states.length) {
+    const states = getStates(subject) || [];
+    if (!compound.states.every(s => states.includes(s))) return false;
+  }
+  if (!isDomElement(subject)) {
+    return matchDetachedCompound(compound.base, subject);
+  }
+  if (compound.base === '*') return true;
+  try {
+    return subject.matches(compound.base);
+  } catch {
+    return false;
+  }
+}
+
+function matchFrom(compounds, index, subject, getStates, ignoreStates, scopeRoot) {
+  const compound = compounds[index];
+  if (!matchCompound(compound, subject, getStates, ignoreStates, scopeRoot)) return false;
+  if (index === 0) return true;
+  if (!isDomElement(subject)) return false;
+
+  const next = el => matchFrom(compounds, index - 1, el, getStates, ignoreStates, scopeRoot);
+  switch (compound.combinator) {
+    case '>':
+      return !!subject.parentElement && next(subject.parentElement);
+    case '+':
+      return !!subject.previousElementSibling && next(subject.previousElementSibling);
+    case '~':
+      for (let el = subject.previousElementSibling; el; el = el.previousElementSibling) {
+        if (next(el)) return true;
+      }
+      return false;
+    default:
+      for (let el = subject.parentElement; el; el = el.parentElement) {
+        if (next(el)) return true;
+      }
+      return false;
+  }
+}
+
+/**
+ * Test one parsed complex selector against a subject.
+ *
+ * @param {{compounds:Array}} selector parsed complex selector
+ * @param {Element|{id:string, classList:string[]}} subject
+ * @param {(subject:any)=>string[]} getStates returns active pseudo-states
+ * @param {boolean} [ignoreStates=false] treat every pseudo-state as active
+ * @param {Element|null} [scopeRoot=null] element `:scope` refers to
+ * @returns {boolean}
+ */
+export function matchSelector(selector, subject, getStates, ignoreStates = false, scopeRoot = null) {
+  const { compounds } = selector;
+  if (!compounds.length) return false;
+  return matchFrom(compounds, compounds.length - 1, subject, getStates, ignoreStates, scopeRoot);
+}
+
+/* ───────────────── RULES ───────────────── */
+
+function clearParsedSelectorsIfStale() {
+  const version = getGlobalStyleCacheVersion();
+  if (parsedSelectorCacheVersion !== version) {
+    parsedSelectorCache.clear();
+    parsedSelectorCacheVersion = version;
+  }
+}
+
+/**
+ * Walk one stylesheet into rule entries, cached per sheet object. Editing a
+ * `<style>` element replaces its CSSStyleSheet, so only that sheet is walked
+ * again; the others are reused until their rules are re-evaluated in place
+ * (media flips, refreshStyles()).
+ */
+function sheetRuleState(sheet) {
+  const version = getStyleSheetCacheVersion();
+  const cached = sheetRuleStates.get(sheet);
+  if (cached?.version === version) return cached;
+
+  clearParsedSelectorsIfStale();
+  const state = {
+    version,
+    entries: [],
+    layerPaths: [],
+    usesContainers: false,
+    registeredProperties: new Map()
+  };
+  const layerOrder = new Map();
+
+  walkStyleSheets(
+    [sheet],
+    (rule, ctx) => {
+      // @property --name { inherits: ... }
+      if (typeof rule.inherits === 'boolean' && rule.name?.startsWith('--')) {
+        state.registeredProperties.set(rule.name, { inherits: rule.inherits });
+        return;
+      }
+      if (!ctx.selector || !rule.style) return;
+      if (ctx.containers.length) state.usesContainers = true;
+      state.entries.push({
+        rule,
+        style: rule.style,
+        selectorText: ctx.selector,
+        layerPath: ctx.layerPath,
+        containers: ctx.containers,
+        scopes: ctx.scopes,
+        selectors: parseSelectorList(ctx.selector)
+      });
+    },
+    layerOrder
+  );
+
+  state.layerPaths = [...layerOrder.keys()];
+  sheetRuleStates.set(sheet, state);
+  return state;
+}
+
+/* ───────────────── RULE INDEX ───────────────── */
+
+/**
+ * Bucket of the subject (rightmost) compound of a selector: its id, else a
+ * class, else its tag. Null when it has none, e.g. `*` or `:is(.a, .b)`;
+ * such rules are tried on every subject.
+ *
+ * @returns {[string, string]|null} `[bucket, key]`
+ */
+function subjectKey(selector) {
+  const compound = selector.compounds[selector.compounds.length - 1];
+  if (!compound) return null;
+  let base = compound.base;
+  while (/\([^()]*\)|\[[^\]]*\]/.test(base)) {
+    base = base.replace(/\([^()]*\)|\[[^\]]*\]/g, '');
+  }
+  if (base.includes('\\')) return null;
+
+  const id = /#(-?[A-Za-z_][\w-]*)/.exec(base);
+  if (id) return ['ids', id[1]];
+  const cls = /\.(-?[A-Za-z_][\w-]*)/.exec(base);
+  if (cls) return ['classes', cls[1]];
+  const tag = /^([A-Za-z][\w-]*)/.exec(base);
+  if (tag) return ['tags', tag[1].toLowerCase()];
+  return null;
+}
+
+function createRuleIndex() {
+  return { ids: new Map(), classes: new Map(), tags: new Map(), universal: [] };
+}
+
+function indexRuleEntry(index, entry) {
+  const keys = [];
+  for (const selector of entry.selectors) {
+    const key = subjectKey(selector);
+    if (!key) {
+      index.universal.push(entry);
+      return;
+    }
+    keys.push(key);
+  }
+  const seen = new Set();
+  for (const [bucket, key] of keys) {
+    if (seen.has(`${bucket}:${key}`)) continue;
+    seen.add(`${bucket}:${key}`);
+    const list = index[bucket].get(key);
+    if (list) list.push(entry);
+    else index[bucket].set(key, [entry]);
+  }
+}
+
+/**
+ * Add the entries of `index` that could match `subject` (same id, a shared
+ * class, same tag, or unkeyed) to `into`.
+ */
+function collectCandidates(index, subject, into) {
+  const add = list => list?.forEach(entry => into.add(entry));
+  add(index.universal);
+  if (subject.id) add(index.ids.get(subject.id));
+  for (const className of subject.classList || []) add(index.classes.get(className));
+  if (isDomElement(subject)) add(index.tags.get(subject.localName));
+}
+
+/**
+ * Merge per-sheet entries into one ordered, indexed rule state. Entries are
+ * copied with their cascade order and layer rank, since one constructed
+ * sheet can be adopted by several roots.
+ */
+function assembleRuleState(sheets, layerOrder, orderOffset) {
+  const state = {
+    entries: [],
+    index: createRuleIndex(),
+    tokens: null,
+    usesContainers: false,
+    registeredProperties: new Map(),
+    layerOrder
+  };
+
+  for (const sheet of sheets) {
+    const sheetState = sheetRuleState(sheet);
+    for (const layerPath of sheetState.layerPaths) {
+      if (!layerOrder.has(layerPath)) layerOrder.set(layerPath, layerOrder.size);
+    }
+    sheetState.registeredProperties.forEach((registration, name) =>
+      state.registeredProperties.set(name, registration)
+    );
+    if (sheetState.usesContainers) state.usesContainers = true;
+
+    for (const entry of sheetState.entries) {
+      const placed = {
+        ...entry,
+        order: orderOffset + state.entries.length,
+        layer: entry.layerPath == null ? Infinity : layerOrder.get(entry.layerPath)
+      };
+      state.entries.push(placed);
+      indexRuleEntry(state.index, placed);
+    }
+  }
+  return state;
+}
+
+function rootRuleState(root) {
+  const version = getStyleCacheVersion(root);
+  const cached = rootRuleStates.get(root);
+  if (cached?.version === version) return cached;
+
+  const state = assembleRuleState(getRootStyleSheets(root), new Map(), 0);
+  state.version = version;
+  rootRuleStates.set(root, state);
+  return state;
+}
+
+/**
+ * Rule state of a cell's `<style scoped>` sheets. They follow the root's
+ * sheets in source order and share its layer ranks, so it is rebuilt when
+ * either the cell or its root changes.
+ */
+function cellRuleState(cellElement, root) {
+  const rootState = rootRuleState(root);
+  const version = `${getStyleCacheVersion(cellElement)}|${rootState.version}`;
+  const cached = cellRuleStates.get(cellElement);
+  if (cached?.version === version) return cached;
+
+  const state = assembleRuleState(
+    getCellStyleSheets(cellElement),
+    new Map(rootState.layerOrder),
+    rootState.entries.length
+  );
+  state.version = version;
+  cellRuleStates.set(cellElement, state);
+  return state;
+}
+
+/**
+ * Rule entries that could match `subject`, looked up in the rule index of
+ * its root (and cell, for `<style scoped>` sheets) instead of scanning
+ * every rule.
+ *
+ * @param {Element|{id:string, classList:string[]}} subject
+ * @param {Document|ShadowRoot} [root=document]
+ * @param {Element|null} [cellElement=null]
+ * @returns {Set<Object>} unordered; entries carry their cascade `order`
+ */
+export function getCandidateRuleEntries(subject, root = document, cellElement = null) {
+  const candidates = new Set();
+  collectCandidates(rootRuleState(root).index, subject, candidates);
+  if (cellElement) collectCandidates(cellRuleState(cellElement, root).index, subject, candidates);
+  return candidates;
+}
+
+/**
+ * Selector-token index of a rule state: each whitespace-separated token of
+ * every selector (`.btn`, `mesh`, `.btn:hover`) → entries in source order,
+ * plus `variants`: a token without convict states → entries of its
+ * `:hover` / `:focus` / `:focus-visible` / `:active` / `:dragging` forms.
+ * Built on first use.
+ */
+function selectorTokenIndex(state) {
+  if (state.tokens) return state.tokens;
+  const exact = new Map();
+  const variants = new Map();
+  const push = (map, token, entry) => {
+    const list = map.get(token);
+    if (!list) map.set(token, [entry]);
+    else if (list[list.length - 1] !== entry) list.push(entry);
+  };
+
+  for (const entry of state.entries) {
+    for (const selector of entry.selectors) {
+      for (const token of selector.text.trim().split(/\s+/)) {
+        push(exact, token, entry);
+        const base = token.replace(/(?::hover|:focus-visible|:focus|:active|:dragging)+$/i, '');
+        if (base && base !== token) push(variants, base, entry);
+      }
+    }
+  }
+  state.tokens = { exact, variants };
+  return state.tokens;
+}
+
+/**
+ * Style rules whose selector lists contain `selector` as a token, in source
+ * order. With `includeStates`, rules for its convict pseudo-state variants
+ * (`.btn:hover`, `.btn:focus:active`, ...) are merged in.
+ *
+ * @param {string} selector e.g. `.btn`
+ * @param {Document|ShadowRoot} [root=document]
+ * @param {boolean} [includeStates=true]
+ * @returns {CSSStyleRule[]}
+ */
+export function getCSSRules(selector, root = document, includeStates = true) {
+  const { exact, variants } = selectorTokenIndex(rootRuleState(root));
+  const found = exact.get(selector) || [];
+  const stateful = includeStates ? variants.get(selector) || [] : [];
+  const entries = stateful.length
+    ? [...new Set([...found, ...stateful])].sort((a, b) => a.order - b.order)
+    : found;
+  return entries.map(entry => entry.rule);
+}
+
+/**
+ * Flatten every readable style rule of a document or shadow root (owned and
+ * adopted sheets), in source order, including rules nested in @media /
+ * @supports / @layer / @container / @scope and CSS nesting. Cached per root
+ * and style-cache version; media-query flips bump it. With `cellElement`,
+ * that cell's `<style scoped>` rules are appended.
+ *
+ * @param {Document|ShadowRoot} [root=document]
+ * @param {Element|null} [cellElement=null]
+ * @returns {Array<{style:CSSStyleDeclaration, selectorText:string, order:number,
+ *   layer:number, containers:Array, scopes:Array, selectors:Array}>}
+ */
+export function getStyleRuleEntries(root = document, cellElement = null) {
+  const { entries } = rootRuleState(root);
+  if (!cellElement) return entries;
+  const cellEntries = cellRuleState(cellElement, root).entries;
+  return cellEntries.length ? entries.concat(cellEntries) : entries;
+}
+
+/**
+ * Whether any style rule of `root` (or of `cellElement`'s scoped sheets)
+ * sits inside an @container block, i.e. whether resizing a cell can change
+ * its paint.
+ *
+ * @param {Document|ShadowRoot} [root=document]
+ * @param {Element|null} [cellElement=null]
+ * @returns {boolean}
+ */
+export function hasContainerQueries(root = document, cellElement = null) {
+  return (
+    rootRuleState(root).usesContainers ||
+    (!!cellElement && cellRuleState(cellElement, root).usesContainers)
+  );
+}
+
+/**
+ * Scope roots `subject` is in scope of for every @scope around an entry,
+ * nearest first, as `[root, proximity]` pairs. Unscoped entries yield one
+ * `[null, Infinity]` pair; an empty list means out of scope.
+ */
+function scopeRootsFor(entry, subject) {
+  if (!entry.scopes.length) return UNSCOPED;
+  if (!isDomElement(subject)) return [];
+
+  let roots = [];
+  for (const { start, end, root } of entry.scopes) {
+    roots = [];
+    let limited = false;
+    let proximity = 0;
+    for (let el = subject; el; el = el.parentElement, proximity++) {
+      const isRoot = root ? el === root : start ? safeMatches(el, start) : !el.parentElement;
+      // the limit element and everything below it are out of scope
+      if (isRoot && !limited) roots.push([el, proximity]);
+      if (end && el !== root && safeMatches(el, end)) limited = true;
+      if (root && el === root) break;
+    }
+    if (!roots.length) return [];
+  }
+  return roots;
+}
+
+function safeMatches(el, selector) {
+  try {
+    return el.matches(selector);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Do an entry's @container conditions hold for `container`?
+ */
+function containersMatch(entry, container) {
+  if (!entry.containers.length) return true;
+  if (!container) return false;
+  return entry.containers.every(
+    ({ name, query }) =>
+      (!name || container.names.includes(name)) &&
+      evaluateContainerCondition(query, container.size)
+  );
+}
+
+function collectCustomDeclarations(style, into, importantInto, meta) {
+  for (let i = 0; i < style.length; i++) {
+    const prop = style[i];
+    if (!prop.startsWith('--')) continue;
+    const decl = { value: style.getPropertyValue(prop).trim(), ...meta };
+    if (style.getPropertyPriority(prop) === 'important') {
+      importantInto.set(prop, decl);
+    } else {
+      into.set(prop, decl);
+    }
+  }
+}
+
+/**
+ * Resolve the cascaded custom properties for a subject.
+ *
+ * Matching rules are ordered by layer, specificity, scope proximity (the
+ * nearer @scope root wins) then source order; unlayered rules beat layered
+ * ones for normal declarations and lose to them for `!important` ones.
+ * `!important` declarations win over normal ones and inline style beats
+ * rules of the same importance. Rules from the subject's `<style scoped>`
+ * sheets only ever see convicts of their own cell.
+ *
+ * @param {Element|{id:string, classList:string[]}} subject
+ * @param {(subject:any)=>string[]} getStates
+ * @param {CSSStyleDeclaration|null} [inlineStyle=null]
+ * @param {{size:{width:number, height:number, fontSize:number}, names:string[]}|null} [container=null]
+ *   query container (the subject's <cell>) for @container rules
+ * @param {Document|ShadowRoot} [root] whose stylesheets apply; defaults to
+ *   the subject's own root node
+ * @returns {{declarations:Map<string,{value:string, selector:string|null}>, interactive:boolean}}
+ */
+export function resolveCascade(
+  subject,
+  getStates,
+  inlineStyle = null,
+  container = null,
+  root = isDomElement(subject) ? getStyleRoot(subject) : document
+) {
+  const matched = [];
+  let interactive = false;
+  const cellElement = isDomElement(subject) ? subject.closest('cell') : null;
+
+  for (const entry of getCandidateRuleEntries(subject, root, cellElement)) {
+    if (!containersMatch(entry, container)) continue;
+    const scopeRoots = scopeRootsFor(entry, subject);
+    let best = null;
+    for (const selector of entry.selectors) {
+      const scoped = scopeRoots.find(([scopeRoot]) =>
+        matchSelector(selector, subject, getStates, true, scopeRoot)
+      );
+      if (!scoped) continue;
+      if (selector.hasStates) {
+        interactive = true;
+        if (!matchSelector(selector, subject, getStates, false, scoped[0])) continue;
+      }
+      const candidate = { selector, proximity: scoped[1] };
+      const bySpecificity = best && compareSpecificity(selector.specificity, best.selector.specificity);
+      if (!best || bySpecificity > 0 || (bySpecificity === 0 && candidate.proximity < best.proximity)) {
+        best = candidate;
+      }
+    }
+    if (best) matched.push({ entry, ...best });
+  }
+
+  const byPrecedence = layerRank => (a, b) =>
+    layerRank(a.entry.layer) - layerRank(b.entry.layer) ||
+    compareSpecificity(a.selector.specificity, b.selector.specificity) ||
+    b.proximity - a.proximity ||
+    a.entry.order - b.entry.order;
+
+  const normal = new Map();
+  const important = new Map();
+  const ignored = new Map();
+
+  matched.sort(byPrecedence(layer => layer));
+  for (const { entry, selector } of matched) {
+    collectCustomDeclarations(entry.style, normal, ignored, { selector: selector.text });
+  }
+  // !important reverses layer precedence
+  matched.sort(byPrecedence(layer => (layer === Infinity ? -Infinity : -layer)));
+  for (const { entry, selector } of matched) {
+    collectCustomDeclarations(entry.style, ignored, important, { selector: selector.text });
+  }
+
+  const inlineImportant = new Map();
+  if (inlineStyle) {
+    collectCustomDeclarations(inlineStyle, normal, inlineImportant, { selector: null });
+  }
+
+  const declarations = new Map(normal);
+  for (const [prop, decl] of important) declarations.set(prop, decl);
+  for (const [prop, decl] of inlineImportant) declarations.set(prop, decl);
+
+  return { declarations, interactive };
+}
+
+/* ───────────────── COMPUTED VALUES ───────────────── */
+
+/**
+ * Whether a custom property passes from a parent convict to its children.
+ * `@property` registrations (the root's own, then the document's) win over
+ * the built-in non-inherited list.
+ *
+ * @param {string} prop e.g. `--material-color`
+ * @param {Document|ShadowRoot} [root=document]
+ * @returns {boolean}
+ */
+export function isInheritedProperty(prop, root = document) {
+  const registered =
+    rootRuleState(root).registeredProperties.get(prop) ||
+    (root !== document ? rootRuleState(document).registeredProperties.get(prop) : undefined);
+  if (registered) return registered.inherits;
+  return !NON_INHERITED_PATHS.has(prop.slice(2).split('-')[0]);
+}
+
+/**
+ * Substitute every `var(--name[, fallback])` in `value`.
+ *
+ * @param {string} value
+ * @param {(name:string)=>string|null} lookup resolved value or null when unset
+ * @returns {string|null} null when a reference is unset and has no fallback
+ */
+export function resolveVarReferences(value, lookup) {
+  if (typeof value !== 'string' || !value.includes('var(')) return value;
+
+  let out = '';
+  let i = 0;
+  while (i < value.length) {
+    const start = value.indexOf('var(', i);
+    if (start === -1) {
+      out += value.slice(i);
+      break;
+    }
+    out += value.slice(i, start);
+
+    let depth = 0;
+    let end = start + 3;
+    let comma = -1;
+    for (; end < value.length; end++) {
+      const ch = value[end];
+      if (ch === '(') depth++;
+      else if (ch === ')' && --depth === 0) break;
+      else if (ch === ',' && depth === 1 && comma === -1) comma = end;
+    }
+    if (end >= value.length) return null;
+
+    const name = value.slice(start + 4, comma === -1 ? end : comma).trim();
+    let replacement = lookup(name);
+    if (replacement == null) {
+      if (comma === -1) return null;
+      replacement = resolveVarReferences(value.slice(comma + 1, end).trim(), lookup);
+      if (replacement == null) return null;
+    }
+    out += replacement;
+    i = end + 1;
+  }
+  return out.trim();
+}
+
+/**
+ * Start a paint pass. Computed values are memoised per element for the
+ * lifetime of the pass, so ancestors are resolved once.
+ *
+ * @param {Document|ShadowRoot} [root=document] style root for detached
+ *   subjects (objects without a DOM element)
+ * @returns {{computed:WeakMap, roots:WeakMap, containers:WeakMap, root:Document|ShadowRoot}}
+ */
+export function createStylePass(root = document) {
+  return { computed: new WeakMap(), roots: new WeakMap(), containers: new WeakMap(), root };
+}
+
+/**
+ * The `<cell>` around an element acts as its query container; size, font
+ * size (the `em` base) and `container-name` are read once per pass.
+ */
+function queryContainerFor(element, pass) {
+  const cellElement = element.closest('cell');
+  if (!cellElement) return null;
+  if (!pass.containers.has(cellElement)) {
+    const { width, height } = cellElement.getBoundingClientRect();
+    const style = getComputedStyle(cellElement);
+    const names = (style.containerName || '')
+      .split(/\s+/)
+      .filter(name => name && name !== 'none');
+    const fontSize = parseFloat(style.fontSize) || 16;
+    pass.containers.set(cellElement, { size: { width, height, fontSize }, names });
+  }
+  return pass.containers.get(cellElement);
+}
+
+/**
+ * Inherited custom properties at a root element (the `<cell>`), read from the
+ * browser, which already resolved `:root` themes and var() above it.
+ */
+function rootCustomProperties(element, pass, root) {
+  if (pass.roots.has(element)) return pass.roots.get(element);
+  const values = Object.create(null);
+  const computed = getComputedStyle(element);
+  for (let i = 0; i < computed.length; i++) {
+    const prop = computed[i];
+    if (!prop.startsWith('--') || !isInheritedProperty(prop, root)) continue;
+    values[prop] = computed.getPropertyValue(prop).trim();
+  }
+  pass.roots.set(element, values);
+  return values;
+}
+
+/**
+ * Resolve own declarations against inherited values.
+ *
+ * @returns {{inheritable:Object, values:Object, declarations:Map}}
+ */
+function computeFromCascade(own, inherited, root) {
+  const resolved = new Map();
+  const resolving = new Set();
+
+  const lookup = name => {
+    if (own.has(name)) return resolveOwn(name);
+    const inheritedValue = inherited[name];
+    return inheritedValue === undefined ? null : inheritedValue;
+  };
+  const resolveOwn = name => {
+    if (resolved.has(name)) return resolved.get(name);
+    if (resolving.has(name)) return null; // reference cycle
+    resolving.add(name);
+    let value = resolveVarReferences(own.get(name).value, lookup);
+    switch (value) {
+      case 'inherit':
+        value = inherited[name] ?? null;
+        break;
+      case 'unset':
+        value = isInheritedProperty(name, root) ? inherited[name] ?? null : null;
+        break;
+      case 'initial':
+        value = null;
+        break;
+      default:
+        break;
+    }
+    resolving.delete(name);
+    resolved.set(name, value);
+    return value;
+  };
+
+  const inheritable = Object.create(inherited);
+  const values = Object.create(inheritable);
+  const declarations = new Map();
+
+  for (const prop in inherited) {
+    if (!own.has(prop)) {
+      declarations.set(prop, { value: inherited[prop], selector: null, inherited: true });
+    }
+  }
+
+  for (const [prop, decl] of own) {
+    const value = resolveOwn(prop);
+    if (value == null) {
+      // invalid at computed-value time: behaves as unset
+      if (isInheritedProperty(prop, root) && inherited[prop] !== undefined) {
+        declarations.set(prop, { value: inherited[prop], selector: null, inherited: true });
+      }
+      continue;
+    }
+    declarations.set(prop, { ...decl, value, inherited: false });
+    if (isInheritedProperty(prop, root)) {
+      inheritable[prop] = value;
+    } else {
+      values[prop] = value;
+    }
+  }
+
+  return { inheritable, values, declarations };
+}
+
+/**
+ * Computed custom properties for an element: its cascade with var()
+ * resolved and inherited values from ancestor elements up to the `<cell>`.
+ *
+ * @param {Element|{id:string, classList:string[]}} subject detached
+ *   descriptors use `pass.root` and inherit from its host (or the document root)
+ * @param {(subject:any)=>string[]} getStates
+ * @param {Object} pass from createStylePass()
+ * @returns {{
+ *   declarations:Map<string,{value:string, selector:string|null, inherited:boolean}>,
+ *   values:Object,
+ *   inheritable:Object,
+ *   interactive:boolean
+ * }}
+ */
+export function computeCustomProperties(subject, getStates, pass) {
+  if (pass.computed.has(subject)) return pass.computed.get(subject);
+
+  const root = isDomElement(subject) ? getStyleRoot(subject) : pass.root;
+  let inherited;
+  if (!isDomElement(subject)) {
+    inherited = rootCustomProperties(root.host || document.documentElement, pass, root);
+  } else {
+    const parent = subject.parentElement;
+    if (!parent) {
+      inherited = Object.create(null);
+    } else if (parent.tagName === 'CELL') {
+      inherited = rootCustomProperties(parent, pass, root);
+    } else {
+      inherited = computeCustomProperties(parent, getStates, pass).inheritable;
+    }
+  }
+
+  const { declarations, interactive } = resolveCascade(
+    subject,
+    getStates,
+    isDomElement(subject) ? subject.style : null,
+    isDomElement(subject) ? queryContainerFor(subject, pass) : null,
+    root
+  );
+  const result = { ...computeFromCascade(declarations, inherited, root), interactive };
+  pass.computed.set(subject, result);
+  return result;
+}
@@ -5,25 +5,61 @@
 // - Event wiring / raycasting integration
 // - CSS → object painting
 // - Mutation observers (DOM + <style> changes)
+// - Frame-batched paint queue
+// - Scripted animations (cell.animate)
 // - Per-frame update callbacks
+// - The cell clock driving transitions, animations and update callbacks
 
 import * as THREE from 'three';
 import { gatherAssetRules, getClassMap } from './utils.js';
-import {
-  paintCell,
-  paintConvict,
-  paintSpecificMuse
-} from './artist.js';
-import { markGlobalStyleCacheDirty } from './styleCache.js';
+import { paintCell, paintConvicts } from './artist.js';
+import { animateObject, cancelTransitions, stopAnimations } from './Train.js';
+import { CellClock } from './clock.js';
+import { markStyleCacheDirty, markStyleSheetsDirty } from './styleCache.js';
+import { hasContainerQueries } from './cascade.js';
+import { getStyleRoot, isCellScopedStyle, onStyleConditionChange } from './sheets.js';
 import {
   default_onCellClick_method,
   default_onCellPointerMove_method,
-  default_onCellMouseDown_method,
-  default_onCellMouseUp_method,
+  default_onCellPointerDown_method,
+  default_onCellPointerUp_method,
+  default_onCellPointerCancel_method,
+  default_onCellPointerLeave_method,
   default_onCellDoubleClick_method,
-  default_onCellContextMenu_method
+  default_onCellContextMenu_method,
+  default_onCellKeyDown_method,
+  default_onCellKeyUp_method,
+  default_onCellFocus_method,
+  default_onCellBlur_method,
+  focusConvict,
+  blurConvict,
+  isSceneEvent
 } from './NoScope.js';
 
+/**
+ * `<style>` elements among added/removed nodes that are shared by the whole
+ * root, i.e. not some cell's `<style scoped>`.
+ *
+ * @param {NodeList} nodes
+ * @param {Node} parent the mutation target the nodes were added to / removed from
+ * @returns {HTMLStyleElement[]}
+ */
+function sharedStyleElements(nodes, parent) {
+  const parentInCell = !!parent?.closest?.('cell');
+  const shared = [];
+  nodes.forEach(node => {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    const styles = node.nodeName === 'STYLE' ? [node] : [...node.querySelectorAll('style')];
+    styles.forEach(styleEl => {
+      const scoped = styleEl === node
+        ? parentInCell && styleEl.hasAttribute('scoped')
+        : isCellScopedStyle(styleEl);
+      if (!scoped) shared.push(styleEl);
+    });
+  });
+  return shared;
+}
+
 class Cell {
   static allCells = new WeakMap();
 
@@ -58,71 +94,104 @@ class Cell {
     this.threeRenderer = renderer;
     this.loadedScene = scene;
     this.focusedCamera = camera;
+    // document or shadow root whose stylesheets paint this cell
+    this.styleRoot = getStyleRoot(cellElm);
+    this._adoptedStyleSheets = null;
 
     this.classyConvicts = new Set();
     this.namedConvicts = new Set();
+    this._allConvicts = new Set();
     this._allConvictsByDom = new WeakMap();
     this._convictsById = new Map();
     this._convictsByClass = new Map();
 
     this.updateFunds = [];
+    // drives this cell's transitions, animations and update functions; the
+    // default loop ticks it, a custom loop leaves it to schedule itself
+    this.clock = new CellClock({ driven: !_MainAnimMethod });
+    this._liveBindings = new Map();
     this._observedStyleElements = new WeakSet();
-    this._pendingStyleRepaint = false;
+    // convict -> Set of reasons ('class', 'id', 'style', 'pseudo', 'asset', 'added')
+    this._paintQueue = new Map();
+    this._fullPaintReasons = new Set();
+    this._paintFlushRaf = 0;
+    // frames of the cell's own for bindings and adopted sheets under a
+    // custom main animation method
+    this._upkeepRaf = 0;
     this._pointerMoveRaf = 0;
-    this._pendingPointerMoveEvt = null;
+    // pointerId -> latest pointermove not yet picked
+    this._pendingPointerMoves = new Map();
+    // pointerId -> { pointerType, hit, position, pressed, captured }
+    this._pointers = new Map();
 
     this._last_cast_caught = null;
-    this._lastHitPosition = null;
+    this._lastIntersection = null;
+    // set by a finished drag: the click the browser sends next is dropped
+    this._suppressNextClick = false;
+    // the one convict with :focus; keys go to it
+    this._focusedConvict = null;
+    this._pointerFocusing = false;
+    this._spacePressed = null;
+    // whether the <cell>'s tabindex is ours (it had none of its own)
+    this._managedTabIndex = false;
+    // convict elements with a tabindex, kept up to date from mutations
+    this._tabIndexed = new Set();
     Cell.allCells.set(cellElm, this);
 
     // initial scan
     this._ScanCell();
 
-    // bind DOM event handlers
-    this._boundPointerMove = evt => {
-      default_onCellPointerMove_method(evt, this);
-    };
-    this._boundClick = evt => {
-      default_onCellClick_method(evt, this);
-    };
-    this._boundMouseDown = evt => {
-      default_onCellMouseDown_method(evt, this);
+    // bind DOM event handlers; scene events dispatched on the convicts'
+    // elements bubble up to the <cell> too, but they are not input
+    const listen = handler => evt => {
+      if (!isSceneEvent(evt)) handler(evt, this);
     };
-    this._boundMouseUp = evt => {
-      default_onCellMouseUp_method(evt, this);
-    };
-    this._boundDoubleClick = evt => {
-      default_onCellDoubleClick_method(evt, this);
-    };
-    this._boundContextMenu = evt => {
+    this._boundPointerMove = listen(default_onCellPointerMove_method);
+    this._boundClick = listen(default_onCellClick_method);
+    this._boundPointerDown = listen(default_onCellPointerDown_method);
+    this._boundPointerUp = listen(default_onCellPointerUp_method);
+    this._boundPointerCancel = listen(default_onCellPointerCancel_method);
+    this._boundPointerLeave = listen(default_onCellPointerLeave_method);
+    this._boundDoubleClick = listen(default_onCellDoubleClick_method);
+    this._boundContextMenu = listen((evt, cell) => {
       evt.preventDefault();
-      default_onCellContextMenu_method(evt, this);
-    };
+      default_onCellContextMenu_method(evt, cell);
+    });
+    this._boundKeyDown = listen(default_onCellKeyDown_method);
+    this._boundKeyUp = listen(default_onCellKeyUp_method);
+    this._boundFocus = listen(default_onCellFocus_method);
+    this._boundBlur = listen(default_onCellBlur_method);
 
-    cellElm.addEventListener('mousemove', this._boundPointerMove);
+    cellElm.addEventListener('pointermove', this._boundPointerMove);
     cellElm.addEventListener('click', this._boundClick);
-    cellElm.addEventListener('mousedown', this._boundMouseDown);
-    cellElm.addEventListener('mouseup', this._boundMouseUp);
+    cellElm.addEventListener('pointerdown', this._boundPointerDown);
+    cellElm.addEventListener('pointerup', this._boundPointerUp);
+    cellElm.addEventListener('pointercancel', this._boundPointerCancel);
+    cellElm.addEventListener('pointerleave', this._boundPointerLeave);
     cellElm.addEventListener('dblclick', this._boundDoubleClick);
     cellElm.addEventListener('contextmenu', this._boundContextMenu);
+    cellElm.addEventListener('keydown', this._boundKeyDown);
+    cellElm.addEventListener('keyup', this._boundKeyUp);
+    cellElm.addEventListener('focus', this._boundFocus);
+    cellElm.addEventListener('blur', this._boundBlur);
+    this._trackTabIndexed(cellElm);
+    this._syncCellTabIndex();
 
     // prime CSS-declared assets before first style apply
-    gatherAssetRules();
+    gatherAssetRules(this.styleRoot);
 
     // initial paint
     paintCell(this);
 
-    // Observe <style> content so keyframes / rules updates repaint
-    this._styleElemObserver = new MutationObserver(() => {
-      if (this._pendingStyleRepaint) return;
-      markGlobalStyleCacheDirty();
-      this._pendingStyleRepaint = true;
-      requestAnimationFrame(() => {
-        this._pendingStyleRepaint = false;
-        gatherAssetRules();
-        paintCell(this);
-        this._repaintKnownConvicts();
+    // Observe <style> content so keyframes / rules updates repaint; only the
+    // edited sheet's scope (this cell, a shadow root, the document) is dirtied
+    this._styleElemObserver = new MutationObserver(mutationList => {
+      mutationList.forEach(mutation => {
+        const target = mutation.target;
+        const styleEl = target.nodeName === 'STYLE' ? target : target.parentElement?.closest('style');
+        markStyleCacheDirty(isCellScopedStyle(styleEl) ? this.cellElm : getStyleRoot(styleEl));
       });
+      this.queueFullPaint('styles');
     });
 
     this._observeStyleElements = root => {
@@ -135,6 +204,8 @@ class Cell {
       }
       targets.forEach(styleEl => {
         if (this._observedStyleElements.has(styleEl)) return;
+        // other cells' `<style scoped>` never affect this one
+        if (isCellScopedStyle(styleEl) && !this.cellElm.contains(styleEl)) return;
         this._observedStyleElements.add(styleEl);
         this._styleElemObserver.observe(styleEl, {
           childList: true,
@@ -146,39 +217,29 @@ class Cell {
 
     this._styleHostObserver = new MutationObserver(mutationList => {
       mutationList.forEach(mutation => {
-        let styleTreeChanged = false;
-        mutation.addedNodes.forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE && node.nodeName === 'STYLE') {
-            this._observeStyleElements(node);
-            styleTreeChanged = true;
-          } else if (node.nodeType === Node.ELEMENT_NODE && typeof node.querySelector === 'function' && node.querySelector('style')) {
-            this._observeStyleElements(node);
-            styleTreeChanged = true;
-          }
-        });
-        mutation.removedNodes.forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE && (node.nodeName === 'STYLE' || (typeof node.querySelector === 'function' && node.querySelector('style')))) {
-            styleTreeChanged = true;
-          }
-        });
-        if (styleTreeChanged) {
-          markGlobalStyleCacheDirty();
-          this._scheduleFullRepaint();
+        const added = sharedStyleElements(mutation.addedNodes, mutation.target);
+        added.forEach(styleEl => this._observeStyleElements(styleEl));
+        if (added.length || sharedStyleElements(mutation.removedNodes, mutation.target).length) {
+          markStyleCacheDirty(getStyleRoot(mutation.target));
+          this.queueFullPaint('styles');
         }
       });
     });
 
     this._observeStyleElements(this.cellElm);
-    if (document.head) {
-      this._observeStyleElements(document.head);
-      this._styleHostObserver.observe(document.head, {
+    // document <style> elements also feed shadow-hosted cells (keyframe fallback)
+    [document.head, this.styleRoot === document ? null : this.styleRoot].forEach(styleHost => {
+      if (!styleHost) return;
+      this._observeStyleElements(styleHost);
+      this._styleHostObserver.observe(styleHost, {
         childList: true,
         subtree: true
       });
-    }
+    });
 
     // Observe inline style/id/class changes and child mutations
     this._styleObserver = new MutationObserver(mutationList => {
+      let tabIndexChanged = false;
       mutationList.forEach(mutation => {
         if (mutation.target.nodeName === 'CANVAS') return;
 
@@ -189,14 +250,12 @@ class Cell {
               if (node.nodeType === Node.ELEMENT_NODE && node.nodeName !== 'CANVAS') {
                 if (node.nodeName === 'STYLE') {
                   this._observeStyleElements(node);
-                  markGlobalStyleCacheDirty();
-                  this._scheduleFullRepaint();
+                  markStyleCacheDirty(this._styleScopeOf(node));
+                  this.queueFullPaint('styles');
                 } else {
                   this.ScanElement(node);
-                  const convict = this.getConvictByDom(node);
-                  if (convict) {
-                    paintSpecificMuse(convict);
-                  }
+                  this.queuePaint(this.getConvictByDom(node), 'added');
+                  tabIndexChanged = this._trackTabIndexed(node) || tabIndexChanged;
                 }
               }
             }
@@ -204,49 +263,76 @@ class Cell {
               const node = mutation.removedNodes[i];
               if (node.nodeType === Node.ELEMENT_NODE && node.nodeName !== 'CANVAS') {
                 if (node.nodeName === 'STYLE' || (typeof node.querySelector === 'function' && node.querySelector('style'))) {
-                  markGlobalStyleCacheDirty();
-                  this._scheduleFullRepaint();
+                  markStyleCacheDirty(this._styleScopeOf(node));
+                  this.queueFullPaint('styles');
                 }
                 this.removeConvict(this._allConvictsByDom.get(node));
+                tabIndexChanged = this._untrackTabIndexed(node) || tabIndexChanged;
               }
             }
             break;
           }
           case 'attributes': {
             const target = mutation.target;
+            if (mutation.attributeName === 'tabindex') {
+              if (target === this.cellElm) break;
+              if (target.hasAttribute('tabindex') && this._allConvictsByDom.has(target)) this._tabIndexed.add(target);
+              else this._tabIndexed.delete(target);
+              tabIndexChanged = true;
+            }
+            if (target === this.cellElm) {
+              // custom properties on the <cell> are inherited by every convict
+              this.queueFullPaint('cell');
+              break;
+            }
             const convict = target.convict;
             if (!convict) break;
 
-            if (mutation.attributeName === 'id') {
+            if (mutation.attributeName === 'id' || mutation.attributeName === 'class') {
               this._syncConvictIdentity(convict, target);
-              paintSpecificMuse(convict);
-            } else if (mutation.attributeName === 'class') {
-              this._syncConvictIdentity(convict, target);
-              paintSpecificMuse(convict);
-            } else if (mutation.attributeName === 'style') {
-              // inline style changed; repaint this convict
-              paintConvict(target, this);
             }
+            this.queuePaint(convict, mutation.attributeName);
             break;
           }
         }
       });
+      if (tabIndexChanged) this._syncCellTabIndex();
     });
 
     this._styleObserver.observe(this.cellElm, {
       attributes: true,
       childList: true,
-      attributeFilter: ['style', 'id', 'class'],
+      attributeFilter: ['style', 'id', 'class', 'tabindex', 'interactive'],
       subtree: true
     });
 
+    // Theme tokens on :root / <body> (inline custom props, theme classes)
+    // feed inherited values, so repaint when they change
+    this._themeObserver = new MutationObserver(() => this.queueFullPaint('theme'));
+    [document.documentElement, document.body, this.styleRoot.host].forEach(themeRoot => {
+      if (!themeRoot) return;
+      this._themeObserver.observe(themeRoot, {
+        attributes: true,
+        attributeFilter: ['style', 'class']
+      });
+    });
+
+    // @media flips (viewport, prefers-reduced-motion, ...) repaint the cell
+    this._unsubscribeStyleConditions = onStyleConditionChange(() => this.queueFullPaint('media'));
+
     // Animation loop
     this._running = true;
     this._anim = _MainAnimMethod
       ? _MainAnimMethod.bind(this)
-      : () => {
+      : now => {
           if (!this._running) return;
-          this.updateFunds.forEach(update => update());
+          this.clock.tick(now);
+          this._checkAdoptedStyleSheets();
+          this._updateLiveBindings();
+          if (!this.clock.paused) {
+            this.updateFunds.forEach(update => update(this.clock.delta, this.clock.time));
+          }
+          this.flushPaints();
           requestAnimationFrame(this._anim);
           if (this.focusedCamera) {
             this.threeRenderer.render(this.loadedScene, this.focusedCamera);
@@ -271,37 +357,146 @@ class Cell {
           this.focusedCamera.updateProjectionMatrix();
         }
       }
+      // @container rules resolve against the cell's size
+      if (hasContainerQueries(this.styleRoot, this.cellElm)) {
+        this.queueFullPaint('container');
+      }
     });
     this._resizeObserver.observe(this.cellElm);
 
+    if (_MainAnimMethod) this._scheduleUpkeep();
     this._anim();
   }
 
-  _scheduleFullRepaint() {
-    if (this._pendingStyleRepaint) return;
-    this._pendingStyleRepaint = true;
-    requestAnimationFrame(() => {
-      this._pendingStyleRepaint = false;
-      gatherAssetRules();
+  /**
+   * Queue a repaint of `convict` and the convicts nested below it. Requests
+   * made before the next flush collapse into one paint per convict.
+   *
+   * @param {THREE.Object3D} convict
+   * @param {'class'|'id'|'style'|'pseudo'|'asset'|'added'} [reason='style']
+   */
+  queuePaint(convict, reason = 'style') {
+    if (!convict?.userData) return;
+    let reasons = this._paintQueue.get(convict);
+    if (!reasons) {
+      reasons = new Set();
+      this._paintQueue.set(convict, reasons);
+    }
+    reasons.add(reason);
+    this._schedulePaintFlush();
+  }
+
+  /**
+   * Queue a repaint of every convict, for changes that can reach all of them
+   * (stylesheets, theme tokens, media and container conditions).
+   *
+   * @param {string} [reason='styles']
+   */
+  queueFullPaint(reason = 'styles') {
+    this._fullPaintReasons.add(reason);
+    this._schedulePaintFlush();
+  }
+
+  /**
+   * Convicts waiting for the next flush and why. A pending full repaint is
+   * listed under `'*'`.
+   *
+   * @returns {Map<THREE.Object3D|'*', Set<string>>}
+   */
+  get pendingPaints() {
+    const pending = new Map(this._paintQueue);
+    if (this._fullPaintReasons.size) pending.set('*', new Set(this._fullPaintReasons));
+    return pending;
+  }
+
+  /**
+   * Paint everything queued since the last flush, once: the whole cell when
+   * a full repaint is pending, otherwise the dirty convicts in one style
+   * pass. Runs before render in the animation loop; call it directly to
+   * apply queued paints synchronously (e.g. in tests).
+   *
+   * @returns {number} convicts painted
+   */
+  flushPaints() {
+    if (this._paintFlushRaf) {
+      cancelAnimationFrame(this._paintFlushRaf);
+      this._paintFlushRaf = 0;
+    }
+    if (this._fullPaintReasons.size) {
+      this._fullPaintReasons.clear();
+      this._paintQueue.clear();
       paintCell(this);
-      this._repaintKnownConvicts();
+      return this._allConvicts.size;
+    }
+    if (!this._paintQueue.size) return 0;
+    const dirty = [...this._paintQueue.keys()];
+    this._paintQueue.clear();
+    return paintConvicts(dirty, this.styleRoot);
+  }
+
+  // custom animation loops may never call flushPaints(); a frame callback
+  // covers them (the default loop usually flushes first and cancels it)
+  _schedulePaintFlush() {
+    if (this._paintFlushRaf) return;
+    this._paintFlushRaf = requestAnimationFrame(() => {
+      this._paintFlushRaf = 0;
+      this.flushPaints();
     });
   }
 
-  _repaintKnownConvicts() {
-    const visited = new Set();
-    for (const convict of this.classyConvicts) {
-      if (!visited.has(convict)) {
-        visited.add(convict);
-        paintSpecificMuse(convict);
-      }
-    }
-    for (const convict of this.namedConvicts) {
-      if (!visited.has(convict)) {
-        visited.add(convict);
-        paintSpecificMuse(convict);
-      }
+  /**
+   * The per-frame work the default loop does besides rendering (adopted
+   * style sheets, live bindings), on frames of its own for cells with a
+   * custom main animation method.
+   * @private
+   */
+  _scheduleUpkeep() {
+    if (this._upkeepRaf || !this._running) return;
+    this._upkeepRaf = requestAnimationFrame(() => {
+      this._upkeepRaf = 0;
+      if (!this._running) return;
+      this._checkAdoptedStyleSheets();
+      this._updateLiveBindings();
+      this._scheduleUpkeep();
+    });
+  }
+
+  /**
+   * Cache scope of a `<style>` (or a subtree holding some) inside this cell:
+   * the cell itself when every sheet is `scoped`, otherwise its root.
+   *
+   * @param {Element} node
+   * @returns {Element|Document|ShadowRoot}
+   */
+  _styleScopeOf(node) {
+    const styles = node.nodeName === 'STYLE' ? [node] : [...node.querySelectorAll('style')];
+    return styles.every(styleEl => styleEl.hasAttribute('scoped')) ? this.cellElm : this.styleRoot;
+  }
+
+  /**
+   * Re-read every stylesheet and repaint the cell on the next frame. Needed
+   * after editing a constructed stylesheet in place (`replaceSync`,
+   * `insertRule`), which cannot be observed.
+   */
+  refreshStyles() {
+    markStyleSheetsDirty();
+    this.queueFullPaint('styles');
+  }
+
+  /**
+   * `adoptedStyleSheets` assignments cannot be observed either; compare
+   * against last frame's list and refresh when it changed.
+   */
+  _checkAdoptedStyleSheets() {
+    const roots = this.styleRoot === document ? [document] : [this.styleRoot, document];
+    const current = roots.flatMap(root => [...(root.adoptedStyleSheets || [])]);
+    const previous = this._adoptedStyleSheets;
+    this._adoptedStyleSheets = current;
+    if (!previous) return;
+    if (previous.length === current.length && previous.every((sheet, i) => sheet === current[i])) {
+      return;
     }
+    this.refreshStyles();
   }
 
   _normalizeClassList(input) {
@@ -479,6 +674,7 @@ class Cell {
     parentObj.add(instance);
 
     this._allConvictsByDom.set(elm, instance);
+    this._allConvicts.add(instance);
     this._syncConvictIdentity(instance, elm);
 
     for (let i = 0; i < elm.children.length; i++) {
@@ -538,6 +734,21 @@ class Cell {
     }
     this.classyConvicts.delete(convict);
     this.namedConvicts.delete(convict);
+    this._allConvicts.delete(convict);
+    this._paintQueue.delete(convict);
+    cancelTransitions(convict);
+    stopAnimations(convict);
+    this._dropLiveBindings(convict);
+    for (const pointer of this._pointers.values()) {
+      if (pointer.hit === convict) pointer.hit = null;
+      if (pointer.pressed === convict) pointer.pressed = null;
+      if (pointer.captured === convict) pointer.captured = null;
+      if (pointer.drag?.object === convict) pointer.drag = null;
+      else if (pointer.drag?.over === convict) pointer.drag.over = null;
+    }
+    if (this._last_cast_caught === convict) this._last_cast_caught = null;
+    if (this._focusedConvict === convict) this._focusedConvict = null;
+    if (this._spacePressed === convict) this._spacePressed = null;
 
     if (convict.userData.domEl) {
       this._allConvictsByDom.delete(convict.userData.domEl);
@@ -578,7 +789,215 @@ class Cell {
   }
 
   /**
-   * Register a per-frame callback.
+   * Animate a convict from JS with the same keyframes, easing and property
+   * paths as CSS animations. Sequence with `await animation.finished`.
+   *
+   * @param {THREE.Object3D|HTMLElement} convict the object or its element
+   * @param {string|Array<Object>} keyframes an @keyframes name, or
+   *   Web-Animations-style keyframes keyed by property path
+   * @param {number|Object} [options] a duration in ms, or `{ duration, delay,
+   *   easing, iterations, direction, fill, playbackRate }`
+   * @returns {import('./Train.js').ConvictAnimation|null}
+   */
+  animate(convict, keyframes, options = {}) {
+    const object = convict?.isObject3D ? convict : this._allConvictsByDom.get(convict);
+    if (!object) {
+      console.warn('Cannot animate: not a convict of this cell.', convict);
+      return null;
+    }
+    return animateObject(object, keyframes, options);
+  }
+
+  /**
+   * Send pointer `pointerId`'s moves and release to `convict` wherever the
+   * pointer goes, until it is released or lifted. Only pointers currently
+   * down or over the cell can be captured.
+   *
+   * @param {number} pointerId
+   * @param {THREE.Object3D|HTMLElement} convict the object or its element
+   * @returns {boolean} whether the pointer was captured
+   */
+  setPointerCapture(pointerId, convict) {
+    const pointer = this._pointers.get(pointerId);
+    const object = convict?.isObject3D ? convict : this._allConvictsByDom.get(convict);
+    if (!pointer || !object) return false;
+    pointer.captured = object;
+    return true;
+  }
+
+  /**
+   * @param {number} pointerId
+   */
+  releasePointerCapture(pointerId) {
+    const pointer = this._pointers.get(pointerId);
+    if (pointer) pointer.captured = null;
+  }
+
+  /**
+   * @param {number} pointerId
+   * @param {THREE.Object3D|HTMLElement} [convict] any capturing object when omitted
+   * @returns {boolean}
+   */
+  hasPointerCapture(pointerId, convict) {
+    const captured = this._pointers.get(pointerId)?.captured;
+    if (!captured) return false;
+    if (!convict) return true;
+    return captured === (convict.isObject3D ? convict : this._allConvictsByDom.get(convict));
+  }
+
+  /**
+   * Focus a convict as if it were tabbed to or clicked: it alone gets
+   * `:focus`, and key events go to its `onkeydown` / `onkeyup`.
+   *
+   * @param {THREE.Object3D|HTMLElement} convict the object or its element
+   * @param {{focusVisible?: boolean}} [options] `focusVisible` adds
+   *   `:focus-visible`, as keyboard focus does
+   */
+  focusConvict(convict, { focusVisible = false } = {}) {
+    const object = convict?.isObject3D ? convict : this._allConvictsByDom.get(convict);
+    if (!object) {
+      console.warn('Cannot focus: not a convict of this cell.', convict);
+      return;
+    }
+    focusConvict(this, object, { focusVisible });
+  }
+
+  /**
+   * Blur the focused convict, if any.
+   */
+  blurConvict() {
+    blurConvict(this);
+  }
+
+  /**
+   * The focused convict, or null.
+   *
+   * @returns {THREE.Object3D|null}
+   */
+  get activeConvict() {
+    return this._focusedConvict;
+  }
+
+  /**
+   * Record the convict elements with a tabindex in `root`'s subtree.
+   *
+   * @returns {boolean} whether any were found
+   * @private
+   */
+  _trackTabIndexed(root) {
+    const found = [...root.querySelectorAll('[tabindex]')];
+    if (root !== this.cellElm && root.hasAttribute('tabindex')) found.push(root);
+    let tracked = false;
+    for (const domEl of found) {
+      if (!this._allConvictsByDom.has(domEl)) continue;
+      this._tabIndexed.add(domEl);
+      tracked = true;
+    }
+    return tracked;
+  }
+
+  /**
+   * Forget the tracked elements inside the removed subtree `root`.
+   *
+   * @returns {boolean} whether any were tracked
+   * @private
+   */
+  _untrackTabIndexed(root) {
+    let untracked = false;
+    for (const domEl of this._tabIndexed) {
+      if (!root.contains(domEl)) continue;
+      this._tabIndexed.delete(domEl);
+      untracked = true;
+    }
+    return untracked;
+  }
+
+  /**
+   * While convicts carry a tabindex, give the <cell> one too: `0` when
+   * any can be reached with Tab, `-1` (pointer focus only) otherwise.
+   * Removed again once the last one goes. A tabindex set by the page wins.
+   * @private
+   */
+  _syncCellTabIndex() {
+    if (this.cellElm.hasAttribute('tabindex') && !this._managedTabIndex) return;
+    if (!this._tabIndexed.size) {
+      if (this._managedTabIndex) this.cellElm.removeAttribute('tabindex');
+      this._managedTabIndex = false;
+      return;
+    }
+    const tabbable = [...this._tabIndexed].some(domEl => parseInt(domEl.getAttribute('tabindex'), 10) >= 0);
+    const value = tabbable ? '0' : '-1';
+    this._managedTabIndex = true;
+    if (this.cellElm.getAttribute('tabindex') !== value) this.cellElm.setAttribute('tabindex', value);
+  }
+
+  /**
+   * Pointers currently over or pressed on the cell, by pointerId.
+   *
+   * @returns {Map<number, {pointerType:string, hit:THREE.Object3D|null, pressed:THREE.Object3D|null, captured:THREE.Object3D|null}>}
+   */
+  get activePointers() {
+    return new Map(this._pointers);
+  }
+
+  /**
+   * Register a `bind(...)` binding for `convict.<prop>`, replacing any
+   * previous one.
+   * @private
+   */
+  _setLiveBinding(convict, prop, binding) {
+    let bucket = this._liveBindings.get(convict);
+    if (!bucket) {
+      bucket = new Map();
+      this._liveBindings.set(convict, bucket);
+    }
+    bucket.set(prop, binding);
+  }
+
+  /**
+   * @private
+   */
+  _clearLiveBinding(convict, prop) {
+    const bucket = this._liveBindings.get(convict);
+    if (!bucket) return;
+    bucket.delete(prop);
+    if (bucket.size === 0) {
+      this._liveBindings.delete(convict);
+    }
+  }
+
+  /**
+   * Tear down bindings owned by `convict` and bindings that read from it.
+   * @private
+   */
+  _dropLiveBindings(convict) {
+    this._liveBindings.delete(convict);
+    for (const [owner, bucket] of this._liveBindings) {
+      for (const [prop, binding] of bucket) {
+        if (binding.sources.has(convict)) bucket.delete(prop);
+      }
+      if (bucket.size === 0) {
+        this._liveBindings.delete(owner);
+      }
+    }
+  }
+
+  /**
+   * Re-evaluate every live binding; runs once per frame in the render loop.
+   * @private
+   */
+  _updateLiveBindings() {
+    for (const bucket of this._liveBindings.values()) {
+      for (const binding of bucket.values()) {
+        binding.update();
+      }
+    }
+  }
+
+  /**
+   * Register a per-frame callback. It is called as `fn(deltaMs, timeMs)`
+   * with the cell clock's last advance and current time, so it slows down
+   * with `cell.clock` and is not called while the clock is paused.
    *
    * @param {Function} fn
    */
@@ -612,19 +1031,41 @@ class Cell {
     this._styleObserver.disconnect();
     this._styleElemObserver.disconnect();
     this._styleHostObserver.disconnect();
+    this._themeObserver.disconnect();
+    this._unsubscribeStyleConditions();
 
     if (this._pointerMoveRaf) {
       cancelAnimationFrame(this._pointerMoveRaf);
       this._pointerMoveRaf = 0;
     }
-    this._pendingPointerMoveEvt = null;
+    if (this._paintFlushRaf) {
+      cancelAnimationFrame(this._paintFlushRaf);
+      this._paintFlushRaf = 0;
+    }
+    if (this._upkeepRaf) {
+      cancelAnimationFrame(this._upkeepRaf);
+      this._upkeepRaf = 0;
+    }
+    this._paintQueue.clear();
+    this._fullPaintReasons.clear();
+    this.clock.dispose();
+    this._pendingPointerMoves.clear();
+    this._pointers.clear();
 
-    this.cellElm.removeEventListener('mousemove', this._boundPointerMove);
+    this.cellElm.removeEventListener('pointermove', this._boundPointerMove);
     this.cellElm.removeEventListener('click', this._boundClick);
-    this.cellElm.removeEventListener('mousedown', this._boundMouseDown);
-    this.cellElm.removeEventListener('mouseup', this._boundMouseUp);
+    this.cellElm.removeEventListener('pointerdown', this._boundPointerDown);
+    this.cellElm.removeEventListener('pointerup', this._boundPointerUp);
+    this.cellElm.removeEventListener('pointercancel', this._boundPointerCancel);
+    this.cellElm.removeEventListener('pointerleave', this._boundPointerLeave);
     this.cellElm.removeEventListener('dblclick', this._boundDoubleClick);
     this.cellElm.removeEventListener('contextmenu', this._boundContextMenu);
+    this.cellElm.removeEventListener('keydown', this._boundKeyDown);
+    this.cellElm.removeEventListener('keyup', this._boundKeyUp);
+    this.cellElm.removeEventListener('focus', this._boundFocus);
+    this.cellElm.removeEventListener('blur', this._boundBlur);
+    if (this._managedTabIndex) this.cellElm.removeAttribute('tabindex');
+    this._focusedConvict = null;
 
     const canvas = this.threeRenderer.domElement;
     if (canvas && canvas.parentNode) {
@@ -0,0 +1,171 @@
+// clock.js
+//
+// Animation time for JailedThreeJS.
+// - CellClock: one per Cell, drives its transitions, keyframe animations and
+//   update functions; can be paused, slowed down / sped up and seeked
+// - A default clock for objects that live outside any cell
+// - Object → clock lookup through the object's element and its <cell>
+
+/**
+ * Time source in milliseconds that advances with animation frames. A driven
+ * clock is ticked by its owning Cell once per rendered frame; an undriven one
+ * (custom render loops, the default clock) schedules its own frames while it
+ * has tickers.
+ */
+export class CellClock {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.driven=false] whether an owner calls tick()
+   *   every frame, so the clock never requests frames of its own
+   */
+  constructor({ driven = false } = {}) {
+    this._driven = driven;
+    this._time = 0;
+    this._timeScale = 1;
+    this._paused = false;
+    this._lastFrame = null;
+    this._tickers = new Set();
+    this._raf = 0;
+    this._disposed = false;
+    /** Clock milliseconds the last frame (or seek) advanced by. */
+    this.delta = 0;
+  }
+
+  /** Milliseconds of clock time elapsed. */
+  get time() {
+    return this._time;
+  }
+
+  /** Whether the clock is paused. */
+  get paused() {
+    return this._paused;
+  }
+
+  /** Clock milliseconds per real millisecond; 0.25 is quarter speed. */
+  get timeScale() {
+    return this._timeScale;
+  }
+
+  set timeScale(scale) {
+    if (!Number.isFinite(scale) || scale < 0) {
+      console.warn(`Invalid clock timeScale "${scale}"; it must be a number >= 0.`);
+      return;
+    }
+    this._timeScale = scale;
+  }
+
+  /** Freeze time; seek() still moves it. */
+  pause() {
+    this._paused = true;
+  }
+
+  /** Let time run again from where it stands. */
+  resume() {
+    if (!this._paused) return;
+    this._paused = false;
+    // the paused stretch is not elapsed time
+    this._lastFrame = null;
+    this._schedule();
+  }
+
+  /**
+   * Jump to `ms` of clock time, backwards or forwards, and update everything
+   * the clock drives right away. Works while paused, so a paused clock can
+   * be scrubbed or stepped a frame at a time (`seek(clock.time + 1000 / 60)`).
+   *
+   * @param {number} ms
+   */
+  seek(ms) {
+    if (!Number.isFinite(ms)) return;
+    this._advance(ms - this._time);
+  }
+
+  /**
+   * Advance to a frame timestamp (as passed to requestAnimationFrame). A
+   * second tick with the same timestamp does nothing.
+   *
+   * @param {number} [now=performance.now()]
+   */
+  tick(now = performance.now()) {
+    const last = this._lastFrame;
+    if (last !== null && now === last) return;
+    this._lastFrame = now;
+    // first frame, or a timestamp from another time origin
+    if (last === null || now < last) {
+      this.delta = 0;
+      return;
+    }
+    if (this._paused) {
+      this.delta = 0;
+      return;
+    }
+    this._advance((now - last) * this._timeScale);
+  }
+
+  /**
+   * Call `ticker(deltaMs)` every time the clock moves, until removed.
+   *
+   * @param {(delta:number) => void} ticker
+   */
+  add(ticker) {
+    // an idle undriven clock may not have been ticked for a while; start
+    // counting now. A driven clock is ticked every frame regardless.
+    if (!this._driven && !this._tickers.size && this._lastFrame !== null) this._lastFrame = performance.now();
+    this._tickers.add(ticker);
+    this._schedule();
+  }
+
+  /**
+   * @param {(delta:number) => void} ticker
+   */
+  remove(ticker) {
+    this._tickers.delete(ticker);
+  }
+
+  /** Stop ticking and drop every ticker. */
+  dispose() {
+    this._disposed = true;
+    this._tickers.clear();
+    if (this._raf) cancelAnimationFrame(this._raf);
+    this._raf = 0;
+  }
+
+  /** @private */
+  _advance(delta) {
+    this._time += delta;
+    this.delta = delta;
+    if (!delta) return;
+    for (const ticker of [...this._tickers]) {
+      if (this._tickers.has(ticker)) ticker(delta);
+    }
+  }
+
+  /** @private */
+  _schedule() {
+    if (this._driven || this._raf || this._disposed || this._paused || !this._tickers.size) return;
+    this._raf = requestAnimationFrame(now => {
+      this._raf = 0;
+      this.tick(now);
+      this._schedule();
+    });
+  }
+}
+
+// drives objects that are not inside a <cell> (and plain animateLerp calls)
+export const defaultClock = new CellClock();
+
+/**
+ * The clock driving `object`: its Cell's clock, found through the nearest
+ * element-backed ancestor, or the default clock.
+ *
+ * @param {THREE.Object3D|null} object
+ * @returns {CellClock}
+ */
+export function getObjectClock(object) {
+  for (let node = object; node; node = node.parent) {
+    const domEl = node.userData?.domEl;
+    if (!domEl) continue;
+    return domEl.closest?.('cell')?.cell?.clock || defaultClock;
+  }
+  return defaultClock;
+}
@@ -7,6 +7,15 @@ export { default as Cell } from './cell.js';
 export { default as JThree } from './main.js';
 
 export * from './artist.js';
+export { getCSSRules } from './cascade.js';
+export { CellClock } from './clock.js';
 export * from './NoScope.js';
 export * from './Train.js';
+export {
+  ProgressTimeline,
+  ScrollProgressTimeline,
+  ViewProgressTimeline,
+  registerTimeline,
+  unregisterTimeline
+} from './timeline.js';
 export * from './utils.js';
@@ -5,32 +5,51 @@
 
 import * as THREE from 'three';
 import Cell from './cell.js';
+import { getStyleRoot } from './sheets.js';
 
 class JTHREE {
   static __Loaded_Cells__ = new WeakMap();
   static __StyleTag__ = null;
+  static __StyledRoots__ = new WeakSet();
 
   /**
-   * Convert all <cell> elements in the document.
+   * Convert all <cell> elements in the document, or in a shadow root when
+   * one is given (cells inside web components are not reachable from the
+   * document).
+   *
+   * @param {Document|ShadowRoot} [root=document]
    */
-  static init_convert() {
-    if (!JTHREE.__StyleTag__ && document.head) {
-      const styleSheet = document.createElement('style');
-      styleSheet.textContent = `
-        cell > :not(canvas) {
-          display: none;
-        }
-      `;
-      document.head.appendChild(styleSheet);
-      JTHREE.__StyleTag__ = styleSheet;
-    }
+  static init_convert(root = document) {
+    JTHREE._install_cell_style(root);
 
-    document.querySelectorAll('cell').forEach(el => {
+    root.querySelectorAll('cell').forEach(el => {
       if (JTHREE.__Loaded_Cells__.has(el)) return;
       JTHREE.create_THREEJSRENDERER(el);
     });
   }
 
+  /**
+   * Hide the DOM children of <cell> elements; shadow roots do not see the
+   * document's copy of this rule, so each gets its own.
+   *
+   * @param {Document|ShadowRoot} root
+   */
+  static _install_cell_style(root) {
+    if (JTHREE.__StyledRoots__.has(root)) return;
+    const host = root === document ? document.head : root;
+    if (!host) return;
+
+    const styleSheet = document.createElement('style');
+    styleSheet.textContent = `
+        cell > :not(canvas) {
+          display: none;
+        }
+      `;
+    host.appendChild(styleSheet);
+    JTHREE.__StyledRoots__.add(root);
+    if (root === document) JTHREE.__StyleTag__ = styleSheet;
+  }
+
   /**
    * Legacy alias.
    */
@@ -48,6 +67,7 @@ class JTHREE {
     if (JTHREE.__Loaded_Cells__.has(cellEl)) {
       return JTHREE.__Loaded_Cells__.get(cellEl);
     }
+    JTHREE._install_cell_style(getStyleRoot(cellEl));
 
     const { canvas, width, height, dpr } = createWebGLOverlay(cellEl);
     const safeWidth = width || 1;
@@ -0,0 +1,422 @@
+// sheets.js
+//
+// Stylesheet traversal shared by the cascade and keyframe scans.
+// - Style roots: a node's document or shadow root and its stylesheets
+// - Cell scopes: `<style scoped>` sheets that only paint their own <cell>
+// - Flattens @media / @supports / @layer / @container / @scope / @import and CSS nesting
+// - Evaluates media + supports conditions, records container conditions
+// - Media-query listeners that invalidate style caches when a query flips
+// - Container-query evaluation against a <cell> element's size
+
+import { markStyleSheetsDirty } from './styleCache.js';
+import { splitTopLevel } from './utils.js';
+
+const mediaQueryLists = new Map();
+const supportsResults = new Map();
+const conditionListeners = new Set();
+// unique across walks, so anonymous layers of different sheets never merge
+let anonymousLayers = 0;
+
+/* ───────────────── CONDITIONS ───────────────── */
+
+function notifyConditionChange() {
+  markStyleSheetsDirty();
+  conditionListeners.forEach(listener => listener());
+}
+
+/**
+ * Evaluate a media query, subscribing to its changes the first time it is
+ * seen so cached rule lists are rebuilt when it flips.
+ *
+ * @param {string} mediaText
+ * @returns {boolean}
+ */
+export function evaluateMediaQuery(mediaText) {
+  const text = (mediaText || '').trim();
+  if (!text || text === 'all') return true;
+  if (typeof matchMedia !== 'function') return true;
+
+  let mql = mediaQueryLists.get(text);
+  if (!mql) {
+    mql = matchMedia(text);
+    if (typeof mql.addEventListener === 'function') {
+      mql.addEventListener('change', notifyConditionChange);
+    } else if (typeof mql.addListener === 'function') {
+      mql.addListener(notifyConditionChange);
+    }
+    mediaQueryLists.set(text, mql);
+  }
+  return mql.matches;
+}
+
+function evaluateSupports(conditionText) {
+  if (!supportsResults.has(conditionText)) {
+    let result = true;
+    try {
+      result = typeof CSS === 'undefined' || CSS.supports(conditionText);
+    } catch {
+      result = false;
+    }
+    supportsResults.set(conditionText, result);
+  }
+  return supportsResults.get(conditionText);
+}
+
+/**
+ * Be told when any media query used by a stylesheet changes.
+ *
+ * @param {Function} listener
+ * @returns {Function} unsubscribe
+ */
+export function onStyleConditionChange(listener) {
+  conditionListeners.add(listener);
+  return () => conditionListeners.delete(listener);
+}
+
+function rootFontSize() {
+  if (typeof document === 'undefined' || !document.documentElement) return 16;
+  return parseFloat(getComputedStyle(document.documentElement).fontSize) || 16;
+}
+
+/**
+ * A length in px: `em` is relative to the container's font size, `rem` to
+ * the root element's.
+ */
+function toPx(value, size) {
+  const match = /^(-?[\d.]+)(px|em|rem)?$/.exec(value.trim());
+  if (!match) return NaN;
+  const n = parseFloat(match[1]);
+  if (match[2] === 'em') return n * (size?.fontSize || 16);
+  if (match[2] === 'rem') return n * rootFontSize();
+  return n;
+}
+
+function featureValue(name, size) {
+  switch (name) {
+    case 'width':
+    case 'inline-size':
+      return size.width;
+    case 'height':
+    case 'block-size':
+      return size.height;
+    case 'aspect-ratio':
+      return size.height ? size.width / size.height : 0;
+    default:
+      return NaN;
+  }
+}
+
+function parseFeatureOperand(text, name, size) {
+  if (name === 'aspect-ratio') {
+    const [w, h = '1'] = text.split('/');
+    return parseFloat(w) / parseFloat(h);
+  }
+  return toPx(text, size);
+}
+
+function compare(a, op, b) {
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return a === b;
+  }
+}
+
+function flipOperator(op) {
+  return { '<': '>', '<=': '>=', '>': '<', '>=': '<=' }[op] || op;
+}
+
+/**
+ * Evaluate one `(feature)` of a container query.
+ */
+function evaluateContainerFeature(text, size) {
+  const colon = text.indexOf(':');
+  if (colon !== -1) {
+    const name = text.slice(0, colon).trim().toLowerCase();
+    const value = text.slice(colon + 1).trim().toLowerCase();
+    if (name === 'orientation') {
+      return value === (size.width >= size.height ? 'landscape' : 'portrait');
+    }
+    const base = name.replace(/^(min|max)-/, '');
+    const actual = featureValue(base, size);
+    const expected = parseFeatureOperand(value, base, size);
+    if (name.startsWith('min-')) return actual >= expected;
+    if (name.startsWith('max-')) return actual <= expected;
+    return actual === expected;
+  }
+
+  // range syntax: `width > 400px`, `400px <= width < 800px`
+  const parts = text.split(/(<=|>=|<|>|=)/).map(p => p.trim()).filter(Boolean);
+  if (parts.length === 3 || parts.length === 5) {
+    const nameIndex = parts.findIndex(p => /^[a-z-]+$/i.test(p));
+    if (nameIndex === -1) return false;
+    const name = parts[nameIndex].toLowerCase();
+    const actual = featureValue(name, size);
+    const checks = [];
+    if (nameIndex === 0) {
+      checks.push([parts[1], parts[2]]);
+    } else {
+      checks.push([flipOperator(parts[nameIndex - 1]), parts[nameIndex - 2]]);
+      if (parts.length === 5) checks.push([parts[nameIndex + 1], parts[nameIndex + 2]]);
+    }
+    return checks.every(([op, operand]) => compare(actual, op, parseFeatureOperand(operand, name, size)));
+  }
+  return false;
+}
+
+/**
+ * Evaluate a container condition (`(min-width: 400px) and (orientation:
+ * landscape)`, `not (width < 200px)`, ...) against a size.
+ *
+ * @param {string} text
+ * @param {{width:number, height:number, fontSize?:number}} size `fontSize` is
+ *   the container's computed font size, the `em` base
+ * @returns {boolean}
+ */
+export function evaluateContainerCondition(text, size) {
+  const condition = text.trim();
+  if (/^not\s/i.test(condition)) {
+    return !evaluateContainerCondition(condition.slice(4), size);
+  }
+
+  for (const joiner of ['and', 'or']) {
+    const parts = splitTopLevel(condition, ' ');
+    if (parts.some(p => p.toLowerCase() === joiner)) {
+      const operands = [];
+      let current = [];
+      for (const part of parts) {
+        if (part.toLowerCase() === joiner) {
+          operands.push(current.join(' '));
+          current = [];
+        } else {
+          current.push(part);
+        }
+      }
+      operands.push(current.join(' '));
+      return joiner === 'and'
+        ? operands.every(op => evaluateContainerCondition(op, size))
+        : operands.some(op => evaluateContainerCondition(op, size));
+    }
+  }
+
+  if (condition.startsWith('(') && condition.endsWith(')')) {
+    const inner = condition.slice(1, -1).trim();
+    return inner.startsWith('(') || /^not\s/i.test(inner)
+      ? evaluateContainerCondition(inner, size)
+      : evaluateContainerFeature(inner, size);
+  }
+  return false;
+}
+
+/* ───────────────── ROOTS ───────────────── */
+
+/**
+ * The root whose stylesheets apply to `node`: its shadow root when it lives
+ * inside one, otherwise the document.
+ *
+ * @param {Node|null|undefined} node
+ * @returns {Document|ShadowRoot}
+ */
+export function getStyleRoot(node) {
+  const root = node?.getRootNode?.();
+  return root && root.host && root.nodeType === 11 ? root : document;
+}
+
+/**
+ * Is `node` a `<style scoped>` inside a <cell>? Such sheets belong to that
+ * cell alone and are cached and invalidated with it.
+ *
+ * @param {Node|null|undefined} node
+ * @returns {boolean}
+ */
+export function isCellScopedStyle(node) {
+  return !!node?.hasAttribute?.('scoped') && !!node.parentElement?.closest('cell');
+}
+
+/**
+ * Stylesheets of a document or shadow root in cascade order: owned
+ * `<style>` / `<link>` sheets, then `adoptedStyleSheets`. Cell-scoped
+ * sheets are left to their cell (see getCellStyleSheets).
+ *
+ * @param {Document|ShadowRoot} root
+ * @returns {CSSStyleSheet[]}
+ */
+export function getRootStyleSheets(root) {
+  return [...(root.styleSheets || []), ...(root.adoptedStyleSheets || [])].filter(
+    sheet => !isCellScopedStyle(sheet.ownerNode)
+  );
+}
+
+/**
+ * The `<style scoped>` sheets of one <cell>, in document order.
+ *
+ * @param {Element} cellElement
+ * @returns {CSSStyleSheet[]}
+ */
+export function getCellStyleSheets(cellElement) {
+  return [...cellElement.querySelectorAll('style[scoped]')]
+    .map(styleEl => styleEl.sheet)
+    .filter(Boolean);
+}
+
+/**
+ * Style scopes whose sheets apply to `node`, innermost first: its <cell>
+ * (for `<style scoped>`), its shadow root, then the document.
+ *
+ * @param {Node|null|undefined} node
+ * @returns {Array<Document|ShadowRoot|Element>}
+ */
+export function getStyleScopes(node) {
+  const scopes = [];
+  const cellElement = typeof node?.closest === 'function' ? node.closest('cell') : null;
+  if (cellElement) scopes.push(cellElement);
+  const root = getStyleRoot(node);
+  scopes.push(root);
+  if (root !== document) scopes.push(document);
+  return scopes;
+}
+
+/* ───────────────── TRAVERSAL ───────────────── */
+
+function readRules(container) {
+  try {
+    return container.cssRules || [];
+  } catch {
+    // cross-origin stylesheet
+    return [];
+  }
+}
+
+/**
+ * Expand a nested selector against its parent (`&` substitution, or an
+ * implicit descendant combinator when there is no `&`).
+ *
+ * @param {string} selectorText
+ * @param {string|null} parentSelector
+ * @returns {string}
+ */
+export function resolveNestedSelector(selectorText, parentSelector) {
+  if (!parentSelector) return selectorText;
+  const parents = splitTopLevel(parentSelector, ',');
+  const out = [];
+  for (const sel of splitTopLevel(selectorText, ',')) {
+    for (const parent of parents) {
+      out.push(sel.includes('&') ? sel.replace(/&/g, parent) : `${parent} ${sel}`);
+    }
+  }
+  return out.join(', ');
+}
+
+/**
+ * Selectors directly inside `@scope` (or a `<style scoped>` sheet) are
+ * relative to the scope root unless they name it with `:scope` or `&`.
+ */
+function resolveScopedSelector(selectorText) {
+  return splitTopLevel(selectorText, ',')
+    .map(sel => {
+      if (sel.includes('&')) return sel.replace(/&/g, ':where(:scope)');
+      return /:scope\b/i.test(sel) ? sel : `:where(:scope) ${sel}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Walk every rule of `sheets`, flattening grouping rules.
+ *
+ * `visit(rule, context)` receives leaf rules (style rules, nested
+ * declaration blocks, @keyframes, @property, ...) whose @media/@supports
+ * conditions currently hold. `context` carries:
+ * - `selector`: the fully expanded selector for style rules / nested blocks
+ * - `layer`: the layer rank (Infinity when unlayered)
+ * - `containers`: container conditions `[{name, query}]` still to evaluate
+ * - `scopes`: enclosing scopes `[{start, end, root}]`, outermost first;
+ *   `root` is the element an implicit scope (`@scope { }`, `<style scoped>`)
+ *   is bound to
+ *
+ * @param {Iterable<CSSStyleSheet>} sheets
+ * @param {(rule:CSSRule, context:Object)=>void} visit
+ * @param {Map<string, number>} [layerOrder] layer ranks to continue from;
+ *   filled in as layers are met
+ */
+export function walkStyleSheets(sheets, visit, layerOrder = new Map()) {
+
+  const rankLayer = name => {
+    if (!layerOrder.has(name)) layerOrder.set(name, layerOrder.size);
+    return layerOrder.get(name);
+  };
+  const joinLayer = (parent, name) => (parent ? `${parent}.${name}` : name);
+
+  const walk = (rules, ctx) => {
+    for (const rule of rules) {
+      const kind = rule.constructor?.name;
+
+      if (kind === 'CSSImportRule') {
+        if (rule.media && !evaluateMediaQuery(rule.media.mediaText)) continue;
+        const layerName = rule.layerName;
+        const layerPath = layerName == null
+          ? ctx.layerPath
+          : joinLayer(ctx.layerPath, layerName || `anonymous-${anonymousLayers++}`);
+        if (rule.styleSheet) {
+          walk(readRules(rule.styleSheet), {
+            ...ctx,
+            layerPath,
+            layer: layerPath == null ? ctx.layer : rankLayer(layerPath)
+          });
+        }
+      } else if (kind === 'CSSMediaRule') {
+        if (evaluateMediaQuery(rule.media.mediaText)) walk(rule.cssRules, ctx);
+      } else if (kind === 'CSSSupportsRule') {
+        if (evaluateSupports(rule.conditionText)) walk(rule.cssRules, ctx);
+      } else if (kind === 'CSSLayerStatementRule') {
+        rule.nameList.forEach(name => rankLayer(joinLayer(ctx.layerPath, name)));
+      } else if (kind === 'CSSLayerBlockRule') {
+        const layerPath = joinLayer(ctx.layerPath, rule.name || `anonymous-${anonymousLayers++}`);
+        walk(rule.cssRules, { ...ctx, layerPath, layer: rankLayer(layerPath) });
+      } else if (kind === 'CSSContainerRule') {
+        const query = rule.containerQuery ?? rule.conditionText.replace(/^\s*[a-z-]+\s+(?=\(|not\s)/i, '');
+        walk(rule.cssRules, {
+          ...ctx,
+          containers: [...ctx.containers, { name: rule.containerName || '', query }]
+        });
+      } else if (kind === 'CSSScopeRule') {
+        walk(rule.cssRules, {
+          ...ctx,
+          selector: null,
+          scopes: [
+            ...ctx.scopes,
+            {
+              start: rule.start ?? null,
+              end: rule.end ?? null,
+              root: rule.start == null ? rule.parentStyleSheet?.ownerNode?.parentElement ?? null : null
+            }
+          ]
+        });
+      } else if (rule.selectorText != null && rule.style) {
+        const selector = ctx.selector == null && ctx.scopes.length
+          ? resolveScopedSelector(rule.selectorText)
+          : resolveNestedSelector(rule.selectorText, ctx.selector);
+        visit(rule, { ...ctx, selector });
+        if (rule.cssRules?.length) walk(rule.cssRules, { ...ctx, selector });
+      } else {
+        // @keyframes, @property, CSSNestedDeclarations (bare declarations
+        // inside a nested group; `ctx.selector` is their parent's), ...
+        visit(rule, ctx);
+      }
+    }
+  };
+
+  const rootContext = { selector: null, layer: Infinity, layerPath: null, containers: [], scopes: [] };
+  for (const sheet of sheets) {
+    if (sheet.disabled) continue;
+    if (sheet.media && !evaluateMediaQuery(sheet.media.mediaText)) continue;
+    const owner = sheet.ownerNode;
+    walk(
+      readRules(sheet),
+      owner?.hasAttribute?.('scoped') && owner.parentElement
+        ? { ...rootContext, scopes: [{ start: null, end: null, root: owner.parentElement }] }
+        : rootContext
+    );
+  }
+}
@@ -1,8 +1,16 @@
 // styleCache.js
 //
 // Shared stylesheet-derived cache versioning for selector/keyframe/asset lookups.
+// - A global version (document stylesheets, media-query flips)
+// - Per-scope versions (a shadow root, a <cell> with `<style scoped>`), so
+//   editing one scope's styles leaves every other scope's caches intact
+// - A sheet-content version for caches keyed by CSSStyleSheet. Editing a
+//   `<style>` element replaces its sheet, so those caches only go stale when
+//   rules are re-evaluated in place (media flips, refreshStyles())
 
 let globalStyleCacheVersion = 0;
+let styleSheetCacheVersion = 0;
+const scopedStyleCacheVersions = new WeakMap();
 
 export function getGlobalStyleCacheVersion() {
   return globalStyleCacheVersion;
@@ -12,3 +20,41 @@ export function markGlobalStyleCacheDirty() {
   globalStyleCacheVersion += 1;
   return globalStyleCacheVersion;
 }
+
+export function getStyleSheetCacheVersion() {
+  return styleSheetCacheVersion;
+}
+
+/**
+ * Invalidate every cache, including the per-sheet ones: for changes that
+ * keep a sheet object but alter what it yields (CSSOM edits, media flips).
+ */
+export function markStyleSheetsDirty() {
+  styleSheetCacheVersion += 1;
+  return markGlobalStyleCacheDirty();
+}
+
+/**
+ * Version of the caches derived from one style scope. Changes when the
+ * scope or the global version is marked dirty.
+ *
+ * @param {Document|ShadowRoot|Element} scope
+ * @returns {string}
+ */
+export function getStyleCacheVersion(scope) {
+  return `${globalStyleCacheVersion}:${scopedStyleCacheVersions.get(scope) || 0}`;
+}
+
+/**
+ * Invalidate the caches of one style scope. The document is not a scope of
+ * its own: its sheets apply everywhere, so it bumps the global version.
+ *
+ * @param {Document|ShadowRoot|Element|null} scope
+ */
+export function markStyleCacheDirty(scope) {
+  if (!scope || scope === document) {
+    markGlobalStyleCacheDirty();
+    return;
+  }
+  scopedStyleCacheVersions.set(scope, (scopedStyleCacheVersions.get(scope) || 0) + 1);
+}
@@ -0,0 +1,328 @@
+// timeline.js
+//
+// Progress-driven animation timelines for JailedThreeJS.
+// - ProgressTimeline: progress in [0, 1] set from JS (a slider, a video)
+// - ScrollProgressTimeline: scroll position of a container or the page
+// - ViewProgressTimeline: an element crossing its scroll container
+// - Named timelines for `--animation-timeline: --name`
+// - Resolving `--animation-timeline` values (auto, none, scroll(), view(),
+//   names) for an object
+
+const SCROLLERS = new Set(['root', 'nearest', 'self']);
+const AXES = new Set(['block', 'inline', 'x', 'y']);
+
+const namedTimelines = new Map();
+const warnedTimelines = new Set();
+// parsed --animation-timeline values
+const timelineSpecs = new Map();
+// scroll source / view subject -> Map<key, timeline>, shared between objects
+const scrollTimelines = new WeakMap();
+const viewTimelines = new WeakMap();
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Timeline whose progress is set from JS. Animations attached to it show
+ * the point `progress` (0 to 1) of their active duration and follow every
+ * change.
+ */
+export class ProgressTimeline {
+  /**
+   * @param {number} [progress=0]
+   */
+  constructor(progress = 0) {
+    this._progress = clamp01(Number(progress) || 0);
+    this._listeners = new Set();
+  }
+
+  /** Progress in [0, 1]. */
+  get progress() {
+    return this._progress;
+  }
+
+  set progress(value) {
+    const next = clamp01(Number(value));
+    if (Number.isNaN(next) || next === this._progress) return;
+    this._progress = next;
+    this._notify();
+  }
+
+  /**
+   * Call `listener(progress)` whenever the progress changes.
+   *
+   * @param {(progress:number) => void} listener
+   * @returns {() => void} unsubscribes
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    if (this._listeners.size === 1) this._connect();
+    return () => {
+      if (this._listeners.delete(listener) && !this._listeners.size) this._disconnect();
+    };
+  }
+
+  /** @protected */
+  _connect() {}
+
+  /** @protected */
+  _disconnect() {}
+
+  /** @protected */
+  _notify() {
+    for (const listener of [...this._listeners]) listener(this._progress);
+  }
+}
+
+/**
+ * Base for timelines measured from the page: re-measures on scroll and
+ * resize while anything listens, and on every read otherwise.
+ */
+class MeasuredTimeline extends ProgressTimeline {
+  constructor(scrollTarget) {
+    super(0);
+    this._scrollTarget = scrollTarget;
+    this._onChange = () => {
+      const next = this._measure();
+      if (next === this._progress) return;
+      this._progress = next;
+      this._notify();
+    };
+  }
+
+  get progress() {
+    return this._listeners.size ? this._progress : this._measure();
+  }
+
+  set progress(value) {
+    console.warn('A scroll or view timeline follows the page; its progress cannot be set.', value);
+  }
+
+  _connect() {
+    this._progress = this._measure();
+    this._scrollTarget.addEventListener('scroll', this._onChange, { passive: true });
+    window.addEventListener('resize', this._onChange);
+  }
+
+  _disconnect() {
+    this._scrollTarget.removeEventListener('scroll', this._onChange);
+    window.removeEventListener('resize', this._onChange);
+  }
+}
+
+function isVerticalAxis(axis) {
+  return axis === 'block' || axis === 'y';
+}
+
+/**
+ * Progress of scrolling `source` (an element, or the page for `document`)
+ * from its start to its end along `axis`.
+ */
+export class ScrollProgressTimeline extends MeasuredTimeline {
+  /**
+   * @param {{source?: Element|Document, axis?: 'block'|'inline'|'x'|'y'}} [options]
+   */
+  constructor({ source = document, axis = 'block' } = {}) {
+    const isPage = !source || source.nodeType === Node.DOCUMENT_NODE;
+    super(isPage ? window : source);
+    this.source = isPage ? document : source;
+    this.axis = AXES.has(axis) ? axis : 'block';
+  }
+
+  /** @private */
+  _measure() {
+    const el = this.source === document ? document.scrollingElement || document.documentElement : this.source;
+    if (!el) return 0;
+    const vertical = isVerticalAxis(this.axis);
+    const max = vertical ? el.scrollHeight - el.clientHeight : el.scrollWidth - el.clientWidth;
+    if (!(max > 0)) return 0;
+    // right-to-left scrollers count scrollLeft down from 0
+    return clamp01(Math.abs(vertical ? el.scrollTop : el.scrollLeft) / max);
+  }
+}
+
+/**
+ * Nearest ancestor scroll container of `el` (crossing shadow roots), or
+ * null for the page.
+ *
+ * @param {Element} el
+ * @returns {Element|null}
+ */
+function nearestScrollContainer(el) {
+  const parentOf = node => node.parentElement || node.getRootNode?.().host || null;
+  for (let node = parentOf(el); node; node = parentOf(node)) {
+    if (node === document.body || node === document.documentElement) return null;
+    const style = getComputedStyle(node);
+    if (/auto|scroll|overlay|hidden/.test(`${style.overflowX} ${style.overflowY}`)) return node;
+  }
+  return null;
+}
+
+/**
+ * Progress of `subject` crossing its scroll container's visible area,
+ * CSS `view()`'s cover range: 0 as its leading edge enters at the end
+ * edge, 1 as its trailing edge leaves at the start edge. `inset` shrinks
+ * the visible area from the start and end (px numbers or `'10%'`).
+ */
+export class ViewProgressTimeline extends MeasuredTimeline {
+  /**
+   * @param {{subject: Element, axis?: 'block'|'inline'|'x'|'y', inset?: Array<number|string>}} options
+   */
+  constructor({ subject, axis = 'block', inset = [0, 0] }) {
+    const scroller = nearestScrollContainer(subject);
+    super(scroller || window);
+    this.subject = subject;
+    this.scroller = scroller;
+    this.axis = AXES.has(axis) ? axis : 'block';
+    this.inset = [inset[0] ?? 0, inset[1] ?? inset[0] ?? 0];
+  }
+
+  /** @private */
+  _measure() {
+    const vertical = isVerticalAxis(this.axis);
+    const port = this.scroller
+      ? this.scroller.getBoundingClientRect()
+      : { top: 0, left: 0, bottom: window.innerHeight, right: window.innerWidth };
+    const portStart = vertical ? port.top : port.left;
+    const portEnd = vertical ? port.bottom : port.right;
+    const size = portEnd - portStart;
+    const insetPx = value =>
+      typeof value === 'string' && value.trim().endsWith('%')
+        ? (parseFloat(value) / 100) * size
+        : parseFloat(value) || 0;
+    const start = portStart + insetPx(this.inset[0]);
+    const end = portEnd - insetPx(this.inset[1]);
+
+    const rect = this.subject.getBoundingClientRect();
+    const subjectStart = vertical ? rect.top : rect.left;
+    const subjectSize = vertical ? rect.height : rect.width;
+    const range = end - start + subjectSize;
+    return range > 0 ? clamp01((end - subjectStart) / range) : 0;
+  }
+}
+
+/**
+ * Make a timeline usable from CSS as `--animation-timeline: <name>`.
+ * Register before the styles naming it are applied.
+ *
+ * @param {string} name a dashed ident, e.g. `--slider`
+ * @param {ProgressTimeline} timeline
+ */
+export function registerTimeline(name, timeline) {
+  const key = String(name).trim();
+  if (!key.startsWith('--') || typeof timeline?.subscribe !== 'function') {
+    console.warn(`Cannot register timeline "${name}": use a --dashed name and a ProgressTimeline.`);
+    return;
+  }
+  namedTimelines.set(key, timeline);
+}
+
+/**
+ * @param {string} name
+ */
+export function unregisterTimeline(name) {
+  namedTimelines.delete(String(name).trim());
+}
+
+function parseTimelineSpec(text) {
+  let spec = timelineSpecs.get(text);
+  if (spec) return spec;
+
+  const lower = text.toLowerCase();
+  const match = /^(scroll|view)\(([^)]*)\)$/.exec(lower);
+  if (lower === 'auto' || lower === '') {
+    spec = { type: 'auto' };
+  } else if (lower === 'none') {
+    spec = { type: 'none' };
+  } else if (text.startsWith('--')) {
+    spec = { type: 'named', name: text };
+  } else if (match) {
+    const tokens = match[2].split(/\s+/).filter(Boolean);
+    spec = { type: match[1], scroller: 'nearest', axis: 'block', inset: [] };
+    for (const token of tokens) {
+      if (match[1] === 'scroll' && SCROLLERS.has(token)) spec.scroller = token;
+      else if (AXES.has(token)) spec.axis = token;
+      else if (match[1] === 'view') spec.inset.push(token === 'auto' ? 0 : token);
+    }
+    spec.inset = spec.inset.slice(0, 2);
+  } else {
+    spec = { type: 'invalid' };
+  }
+  timelineSpecs.set(text, spec);
+  return spec;
+}
+
+function cellElementOf(object) {
+  for (let node = object; node; node = node.parent) {
+    const domEl = node.userData?.domEl;
+    if (domEl) return domEl.closest?.('cell') || null;
+  }
+  return null;
+}
+
+function sharedTimeline(cache, owner, key, create) {
+  let timelines = cache.get(owner);
+  if (!timelines) {
+    timelines = new Map();
+    cache.set(owner, timelines);
+  }
+  let timeline = timelines.get(key);
+  if (!timeline) {
+    timeline = create();
+    timelines.set(key, timeline);
+  }
+  return timeline;
+}
+
+function warnTimelineOnce(text, message) {
+  if (warnedTimelines.has(text)) return;
+  warnedTimelines.add(text);
+  console.warn(message);
+}
+
+/**
+ * The timeline an `--animation-timeline` entry names for `object`. Scroll
+ * and view timelines are taken relative to the object's `<cell>` element:
+ * `scroll()` follows its nearest scroll container (`root`: the page,
+ * `self`: the cell), `view()` follows the cell crossing it.
+ *
+ * @param {string} text one entry, e.g. `scroll(root)`, `view(block 10%)`, `--slider`
+ * @param {THREE.Object3D} object
+ * @returns {ProgressTimeline|null|undefined} undefined for `auto` (the cell
+ *   clock); null when the animation has no timeline and so no effect
+ *   (`none`, unknown names, no cell)
+ */
+export function resolveAnimationTimeline(text, object) {
+  const trimmed = String(text ?? '').trim();
+  const spec = parseTimelineSpec(trimmed);
+  switch (spec.type) {
+    case 'auto':
+      return undefined;
+    case 'named': {
+      const timeline = namedTimelines.get(spec.name);
+      if (!timeline) warnTimelineOnce(trimmed, `Animation timeline "${spec.name}" is not registered.`);
+      return timeline || null;
+    }
+    case 'scroll':
+    case 'view': {
+      const cellEl = cellElementOf(object);
+      if (!cellEl) return null;
+      if (spec.type === 'view') {
+        return sharedTimeline(viewTimelines, cellEl, `${spec.axis} ${spec.inset.join(' ')}`, () =>
+          new ViewProgressTimeline({ subject: cellEl, axis: spec.axis, inset: spec.inset })
+        );
+      }
+      const source =
+        spec.scroller === 'self' ? cellEl : spec.scroller === 'root' ? document : nearestScrollContainer(cellEl) || document;
+      return sharedTimeline(scrollTimelines, source, spec.axis, () =>
+        new ScrollProgressTimeline({ source, axis: spec.axis })
+      );
+    }
+    case 'none':
+      return null;
+    default:
+      warnTimelineOnce(trimmed, `Invalid animation timeline "${trimmed}".`);
+      return null;
+  }
+}
@@ -10,23 +10,35 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
 import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
 import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
-import { getGlobalStyleCacheVersion } from './styleCache.js';
+import { getGlobalStyleCacheVersion, getStyleCacheVersion } from './styleCache.js';
+import {
+  getCellStyleSheets,
+  getRootStyleSheets,
+  getStyleScopes,
+  walkStyleSheets
+} from './sheets.js';
 
 export let AllKeyFramesMap = new Map();
-let keyframesCacheVersion = -1;
+// style scope -> { version, map }; the document's map is AllKeyFramesMap
+const scopeKeyframes = new WeakMap();
 
 /**
- * Collect all @keyframes rules from loaded stylesheets.
+ * Collect all @keyframes rules from one style scope, including those nested
+ * in grouping rules: a document or shadow root's stylesheets (owned and
+ * adopted), or a <cell> element's `<style scoped>` sheets.
  *
+ * @param {Document|ShadowRoot|Element} [scope=document]
  * @returns {Map<string, CSSKeyframesRule>}
  */
-export function gatherKeyFrame_MAP() {
-  const styleVersion = getGlobalStyleCacheVersion();
-  if (keyframesCacheVersion === styleVersion) {
-    return AllKeyFramesMap;
+export function gatherKeyFrame_MAP(scope = document) {
+  const styleVersion = getStyleCacheVersion(scope);
+  const cached = scopeKeyframes.get(scope);
+  if (cached?.version === styleVersion) {
+    return cached.map;
   }
 
-  AllKeyFramesMap.clear();
+  const keyframes = scope === document ? AllKeyFramesMap : cached?.map || new Map();
+  keyframes.clear();
 
   const KEYFRAMES_TYPES = new Set();
   if (typeof CSSRule !== 'undefined') {
@@ -34,33 +46,33 @@ export function gatherKeyFrame_MAP() {
     if ('WEBKIT_KEYFRAMES_RULE' in CSSRule) KEYFRAMES_TYPES.add(CSSRule.WEBKIT_KEYFRAMES_RULE);
   }
 
-  for (const sheet of document.styleSheets) {
-    let rules;
-    try {
-      rules = sheet.cssRules;
-    } catch {
-      continue;
+  // later @keyframes win, as in the browser; @media / @supports blocks
+  // that currently fail are skipped
+  const sheets = scope.nodeType === 1 ? getCellStyleSheets(scope) : getRootStyleSheets(scope);
+  walkStyleSheets(sheets, rule => {
+    if (KEYFRAMES_TYPES.has(rule.type)) {
+      keyframes.set(rule.name, rule);
     }
-    for (const rule of rules) {
-      if (KEYFRAMES_TYPES.has(rule.type)) {
-        AllKeyFramesMap.set(rule.name, rule);
-      }
-    }
-  }
+  });
 
-  keyframesCacheVersion = styleVersion;
-  return AllKeyFramesMap;
+  scopeKeyframes.set(scope, { version: styleVersion, map: keyframes });
+  return keyframes;
 }
 
 /**
- * Get a CSSKeyframesRule by name, rescanning stylesheets each call.
+ * Get a CSSKeyframesRule by name, as seen from `node`: its cell's
+ * `<style scoped>` sheets first, then its shadow root, then the document.
  *
  * @param {string} AnimName
+ * @param {Node} [node=document]
  */
-export function getAnimationMap(AnimName) {
+export function getAnimationMap(AnimName, node = document) {
   if (!AnimName) return undefined;
-  gatherKeyFrame_MAP();
-  return AllKeyFramesMap.get(AnimName);
+  for (const scope of getStyleScopes(node)) {
+    const rule = gatherKeyFrame_MAP(scope).get(AnimName);
+    if (rule) return rule;
+  }
+  return undefined;
 }
 
 /* ───────────────── CLASS MAP ───────────────── */
@@ -189,22 +201,30 @@ function registerParsedAssetRuleEntries(entries) {
 }
 
 /**
- * Scan stylesheets for custom @rules that declare external assets.
+ * Scan a document or shadow root's stylesheets for custom @rules that
+ * declare external assets. Adopted (constructed) sheets carry no source
+ * text, so only `<style>` and `<link>` sheets are scanned.
  *
  * Syntax:
  *   @MyShip {
  *     url: "./ship.glb";
  *     name: "Spaceship";   // optional, overrides @ identifier
  *   }
+ *
+ * @param {Document|ShadowRoot} [root=document]
  */
-export function gatherAssetRules() {
+export function gatherAssetRules(root = document) {
   const styleVersion = getGlobalStyleCacheVersion();
-  if (gatherAssetRules._cacheVersion === styleVersion) {
+  const rootVersion = getStyleCacheVersion(root);
+  if (!gatherAssetRules._cacheVersions) {
+    gatherAssetRules._cacheVersions = new WeakMap();
+  }
+  if (gatherAssetRules._cacheVersions.get(root) === rootVersion) {
     return;
   }
 
   const linkSheetsToParse = [];
-  for (const sheet of document.styleSheets) {
+  for (const sheet of root.styleSheets || []) {
     const owner = sheet.ownerNode;
     if (owner?.nodeName === 'STYLE') {
       registerParsedAssetRuleEntries(parseAssetRulesFromText(owner.textContent || ''));
@@ -247,7 +267,7 @@ export function gatherAssetRules() {
     }
   }
 
-  gatherAssetRules._cacheVersion = styleVersion;
+  gatherAssetRules._cacheVersions.set(root, rootVersion);
 }
 
 /**
@@ -400,4 +420,47 @@ export function fastRemove_arry(arry, item) {
 }
 
 // Alias for older code.
-export const fastRemoveArray = fastRemove_arry;
\ No newline at end of file
+export const fastRemoveArray = fastRemove_arry;
+
+/**
+ * Split a string on `separator`, ignoring separators nested inside
+ * parentheses, brackets or quotes. A `' '` separator splits on any whitespace.
+ *
+ *   splitTopLevel('a, calc(1, 2), b', ',') → ['a', 'calc(1, 2)', 'b']
+ *
+ * @param {string} text
+ * @param {string} [separator=',']
+ * @returns {string[]} trimmed, non-empty parts
+ */
+export function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let buf = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      buf += ch;
+      if (ch === '\\') {
+        buf += text[++i] ?? '';
+      } else if (ch === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0 && (ch === separator || (separator === ' ' && /\s/.test(ch)))) {
+      if (buf.trim()) parts.push(buf.trim());
+      buf = '';
+      continue;
+    }
+    buf += ch;
+  }
+  if (buf.trim()) parts.push(buf.trim());
+  return parts;
+}
\ No newline at end of file